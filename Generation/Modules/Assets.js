@@ -0,0 +1,46 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Functions for checking the assets already exported by the steps 
+ *  (e.g., the checkpoints of the regional forest elevation pyramid and 
+ *  the outputs of the pipeline orchestrator).
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Check whether an asset exists.
+exports.assetExists = function(assetId) {
+  try {
+    return ee.data.getAsset(assetId) !== null;
+  } catch (error) {
+    return false;
+  }
+};
+
+// List the names of the assets in a folder or an ImageCollection
+//  (following the page token through all the pages).
+exports.listAssetNames = function(parentPath) {
+  var names = [];
+  var pageToken = null;
+  
+  do {
+    var params = pageToken ? {pageToken: pageToken} : {};
+    
+    var page = ee.data.listAssets(parentPath, params);
+    
+    (page.assets || []).forEach(function(asset) {
+      names.push((asset.id || asset.name).split("/").pop());
+    });
+    
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  
+  return names;
+};
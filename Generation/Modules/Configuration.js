@@ -0,0 +1,395 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Shared configuration of the transect generation pipeline
+ *  (Step 1.1 through Step 4.2).
+ * 
+ *  Each step loads this module via require() and validates
+ *  the keys it needs at startup. To run the pipeline for
+ *  a new mountain range, revise the objects below only
+ *  (e.g., the GMBA range name or ID of the study domain).
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Modules *
+ ******************************************************************************/
+
+// GMBA mountain ranges (please revise this to your GEE repository path).
+var gmba = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/GMBA_Mountains");
+
+
+/*******************************************************************************
+ * Study domain *
+ ******************************************************************************/
+
+// Working directories.
+//  "wd_Global": global input datasets.
+//  "wd_Input": study-domain datasets and the results of upstream steps.
+//  "wd_Output": your GEE Asset path for the results of each step
+//    (please revise this; for a full run, set "wd_Input" to the same path).
+exports.wd_Global = "users/treeline/Global/";
+exports.wd_Input = "users/ChenyangWei/ATET_v1/";
+exports.wd_Output = "Your/GEE_Asset/Path/";
+
+// Mountain range of the study domain from
+//  the GMBA Mountain Inventory (Version 2.0) database:
+//  "nameOrID": range name (string, e.g., "Olympic Mountains")
+//    OR range ID (number).
+//  "extent": "Broad" OR "Basic".
+exports.mountainRange = {
+  nameOrID: "Olympic Mountains",
+  extent: "Broad"
+};
+
+// Study domain: the selected mountain range.
+exports.studyDomain = gmba.selectRange(exports.wd_Global,
+  exports.mountainRange.extent, exports.mountainRange.nameOrID);
+
+// Area of interest: the bounding box of the study domain.
+exports.AOI = exports.studyDomain.geometry().bounds();
+
+// Projection information.
+exports.prj_Info = {
+  crs: "EPSG:4326",
+  scale: 30
+};
+
+// Provider of the 30-m DEM used by all steps:
+//  "ALOS" (a surface model including the canopy height), 
+//  "Copernicus" (GLO-30), "NASADEM" OR "SRTM".
+exports.dem = "ALOS";
+
+// Land cover of the closed-forest and non-forested masks 
+//  (Steps 1.2.1 and 3.1):
+//  "source": "Copernicus" (2015 - 2019), "WorldCover" (2020 - 2021), 
+//    "DynamicWorld" (2016 onward) OR "Hansen" (2000 - 2023).
+//  "years": areas classified as closed forests (OR non-forested areas)
+//    in ALL these years are extracted.
+//  (All the sources are crosswalked to the same classes; the "Tree cover" 
+//  class of "WorldCover", which includes any tree canopy >= 10 %, is 
+//  a closed forest only where the Hansen tree canopy is > 70 %.)
+exports.landCover = {
+  source: "Copernicus",
+  years: [2015, 2016, 2017, 2018, 2019]
+};
+
+// Last year of the Dynamic World land cover 
+//  (the latest complete year, as the dataset is ongoing).
+exports.dynamicWorld = {
+  lastYear: 2025
+};
+
+// Land cover epochs of the multi-epoch centerline comparison
+//  (in chronological order). Each epoch has a "name" and 
+//  a "landCover" of the same form as above.
+//  (The "Hansen" epoch of 2000 uses the tree canopy cover of 2000 
+//  without any later forest loss or gain excluded.)
+exports.epochs = [
+  {
+    name: "2000",
+    landCover: {source: "Hansen", years: [2000]}
+  },
+  {
+    name: "2015_2019",
+    landCover: {source: "Copernicus", 
+      years: [2015, 2016, 2017, 2018, 2019]}
+  },
+  {
+    name: "2020_2024",
+    landCover: {source: "DynamicWorld", 
+      years: [2020, 2021, 2022, 2023, 2024]}
+  }
+];
+
+
+/*******************************************************************************
+ * Climate period *
+ ******************************************************************************/
+
+// Period and temporal statistic of the CHELSA climatic treeline elevation
+//  (Step 1.1):
+//  "startYear" and "endYear": between 1979 and 2013 (inclusive).
+//  "statistic": "mean" OR "median" of the annual treeline elevation.
+//  The temporal trend (in meters per decade) over the period
+//  is output as a separate band.
+exports.climatePeriod = {
+  startYear: 1979,
+  endYear: 2013,
+  statistic: "mean"
+};
+
+
+/*******************************************************************************
+ * Thresholds *
+ ******************************************************************************/
+
+exports.thresholds = {
+  // Step 1.1: fundamental niche edge.
+  //  (Horizontal distances are evaluated in meters on the local 
+  //  UTM projection of the AOI or of each tile.)
+  vertical_Thres: 500, // In meters.
+  horizontal_Neighborhood: 6e3, // In meters.
+  horizontal_Thres: 3e3, // In meters.
+  
+  // Step 1.2.5: closed-forest buffer.
+  forest_Neighborhood: 6e3, // In meters.
+  forest_Dist_Thres: 3e3, // In meters.
+  
+  // Step 2.1: distance to ridges / valleys.
+  landform_Neighborhood: 3e4, // In meters (1,000 pixels of 30 m).
+  
+  // Step 2.3: minimum Euclidean spacing (not along the medial axis) 
+  //  of the medial-axis pixel centroids (local maxima of the distance 
+  //  to ridges / valleys are retained).
+  centroid_Spacing: 0, // In meters (0: no thinning; e.g., 90).
+  
+  // Step 3.3: grouping of raw centerlines.
+  grouping_Dist: 90, // In meters.
+  
+  // Step 4.1: centerline length and buffer.
+  length_LowerThres: 300, // In meters.
+  length_UpperThres: 3e3, // In meters.
+  transect_BufferDist: 45 // In meters.
+};
+
+
+/*******************************************************************************
+ * Regional forest elevation *
+ ******************************************************************************/
+
+// Pyramid of the regional forest elevation (Step 1.2.2):
+//  "scales": resolutions of the aggregated levels (in meters, 
+//    from fine to coarse).
+//  "reducer": "mean", "median" OR "percentile" (of "percentile", 0 - 100,
+//    e.g., 90 for an upper percentile of closed-forest elevations).
+//    A median or percentile is derived from the pixel counts of 
+//    the elevation bins of "histogram" (in meters) summed through 
+//    the levels and the smoothing kernel.
+//  "kernel": smoothing kernel of the coarsest level (in pixels of 
+//    "outputScale"; "shape": "circle", "square" OR "gaussian"; 
+//    "sigma" for "gaussian").
+//  "checkpoints": scales of the levels exported as assets
+//    (required where a level is too large to be aggregated in memory).
+//  "smoothing": 
+//    "weighting": "count" (weight each neighbor of the mean by 
+//      its number of closed-forest pixels) OR "none".
+//    "maxDistance": maximum extrapolation distance to cells without 
+//      closed forests (number of the pixels of "outputScale"; 
+//      0: no limit).
+//    "minSupport": minimum number of 30-m closed-forest pixels 
+//      supporting the regional forest elevation in Step 1.2.5.
+//  "outputScale": scale (in meters) at which the coarsest level is 
+//    smoothed and the smoothed elevation exported 
+//    (null: the scale of "prj_Info", as in the original workflow).
+exports.regionalPyramid = {
+  scales: [500, 1e4],
+  reducer: "mean",
+  percentile: 90,
+  histogram: {minElv: 0, maxElv: 6000, binWidth: 50},
+  kernel: {shape: "circle", radius: 10, units: "pixels"},
+  checkpoints: [500],
+  smoothing: {weighting: "none", maxDistance: 0, minSupport: 0},
+  outputScale: null
+};
+
+
+/*******************************************************************************
+ * Landform classes *
+ ******************************************************************************/
+
+// Landforms and the classes regarded as ridges and valleys 
+//  (Steps 2.1 and 3.1):
+//  "source": "ALOS" (the CSP/ERGo ALOS landforms dataset; 
+//    no landforms over 60 degrees in latitude) OR "DEM" 
+//    (classified from the configured DEM into the same landform codes).
+//  "preset": "Default" (peaks/ridges and mountains/divides as ridges;
+//    valleys as valleys), "PeakRidge" (peaks/ridges only as ridges) 
+//    OR "Extended" (plus upper slopes as ridges and lower slopes 
+//    as valleys).
+//  "includeCliffs" and "includeUpperSlopes": include (true) OR 
+//    exclude (false) cliffs and upper slopes in the ridges 
+//    (null: as in the preset).
+//  "demClassification" (for the "DEM" source):
+//    "radii": small and large radii of the standardized topographic 
+//      position index (TPI; in meters).
+//    "position_Thres": standardized TPI above which (OR below whose 
+//      negative) a pixel is a ridge (OR valley).
+//    "flat_Slope" and "cliff_Slope": slope (in degrees) at or below 
+//      which a slope is flat, and at or above which it is a cliff.
+exports.landforms = {
+  source: "ALOS",
+  preset: "Default",
+  includeCliffs: null,
+  includeUpperSlopes: null,
+  demClassification: {
+    radii: [300, 2000],
+    position_Thres: 1,
+    flat_Slope: 5,
+    cliff_Slope: 45
+  }
+};
+
+
+/*******************************************************************************
+ * Centerline construction *
+ ******************************************************************************/
+
+// Path of each raw transect centerline (Step 3.1):
+//  "path": "chord" (a straight line between the two endpoints) OR 
+//    "leastCost" (the least-cost path on the slope from the lower to 
+//    the upper endpoint within the buffers of its basin, favoring 
+//    steep terrain; the chord if the path ends at another lower endpoint).
+//  "minSlope": slope (in degrees) below which the cost of crossing 
+//    a pixel no longer increases (for "leastCost").
+//  "endpoints": selection of the two endpoints within each buffer:
+//    "strategy": "minmax" (the lowest closed-forest and 
+//      the highest non-forested pixels), "percentile" (the pixels with 
+//      the elevations nearest to the "percentiles" [lower, upper] of 
+//      the closed-forest and non-forested elevations, respectively), OR 
+//      "distance" (the lowest / highest pixels after penalizing 
+//      the elevation by "distanceWeight" meters per meter of distance 
+//      to the medial-axis point).
+//    "minPatchSize": minimum number of connected pixels (1 - 1024) of 
+//      the closed-forest and non-forested patches holding the endpoints.
+exports.centerlines = {
+  path: "chord",
+  minSlope: 1,
+  endpoints: {
+    strategy: "minmax",
+    percentiles: [5, 95],
+    distanceWeight: 0.1,
+    minPatchSize: 1
+  }
+};
+
+
+/*******************************************************************************
+ * Elevation profiles *
+ ******************************************************************************/
+
+// Elevation profiles along the raw centerlines (Step 3.4):
+//  "spacing": distance between two consecutive elevation samples 
+//    (in meters; reduced to half the length of a centerline shorter 
+//    than twice the spacing, flagged by "profile_StepReduced").
+exports.profiles = {
+  spacing: 30
+};
+
+
+/*******************************************************************************
+ * Landscape units *
+ ******************************************************************************/
+
+// Landscape units partitioning the study domain (Steps 2.2 - 4.1):
+//  "type": "HydroBASINS" (HydroSHEDS water basins of "level", 1 - 12),
+//    "HexGrid" (hexagons of circumradius "hexSize", in meters) OR 
+//    "Custom" (the polygons of "assetId" identified by "idField").
+//  All the joins by unit use the ID property of the selected type
+//  ("HYBAS_ID" for "HydroBASINS"; "unit_ID" for "HexGrid").
+exports.landscapeUnits = {
+  type: "HydroBASINS",
+  level: 12,
+  hexSize: 2e3,
+  assetId: "",
+  idField: ""
+};
+
+
+/*******************************************************************************
+ * Surface exclusions *
+ ******************************************************************************/
+
+// Exclusion of ice, snow and rock surfaces from the broad ATE (Step 1.2.5)
+//  and from the non-forested candidates of the upper endpoints (Step 3.1):
+//  "enabled": if true, the selected surfaces below are excluded.
+//  "glaciers": Randolph Glacier Inventory (Version 7.0) polygons.
+//  "snow": persistent snow (the snow and ice class of "landCover" 
+//    in ALL its years; of Copernicus 2015 - 2019 for "Hansen").
+//  "bareRock": bare or sparsely vegetated areas (the bare class of 
+//    "landCover" in ALL its years; of Copernicus 2015 - 2019 
+//    for "Hansen").
+exports.surfaceExclusions = {
+  enabled: false,
+  glaciers: true,
+  snow: true,
+  bareRock: false
+};
+
+
+/*******************************************************************************
+ * Sensitivity analysis *
+ ******************************************************************************/
+
+// Grid of the Step 1.1 thresholds for the sensitivity analysis 
+//  of the fundamental niche edge (every combination is evaluated).
+exports.sensitivity = {
+  vertical_Thres: [300, 400, 500, 600, 700], // In meters.
+  horizontal_Neighborhood: [6e3], // In meters.
+  horizontal_Thres: [1500, 3e3, 4500] // In meters.
+};
+
+
+/*******************************************************************************
+ * Tiled execution *
+ ******************************************************************************/
+
+// Tiled execution mode of the pipeline orchestrator for large domains.
+//  "enabled": if true, the steps with neighborhood operations
+//    (Steps 1.1, 1.2.1, 1.2.5 and 2.1) are exported tile by tile
+//    and then stitched.
+//  "tileSize": size of each tile core (in degrees).
+//  The halo of each tile is derived from the neighborhood of each step.
+exports.tiling = {
+  enabled: false,
+  tileSize: 1
+};
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Check that each required key (e.g., "thresholds.vertical_Thres")
+//  is defined in the configuration.
+exports.validate = function(requiredKeys) {
+  var missingKeys = requiredKeys.filter(function(key) {
+    var value = key.split(".").reduce(function(parent, name) {
+      if (parent === undefined || parent === null) {
+        return undefined;
+      }
+      
+      return parent[name];
+    }, exports);
+    
+    return value === undefined || value === null;
+  });
+  
+  if (missingKeys.length > 0) {
+    throw new Error("Missing configuration key(s): "
+      + missingKeys.join(", "));
+  }
+};
+
+// Name of the asset of a checkpoint level of the regional forest 
+//  elevation pyramid (Step 1.2.2).
+//  (Distinct from the single-band "Regional_Forest_Elevation_500m" 
+//  of the former Step 1.2.2.)
+exports.checkpointFileName = function(scale) {
+  return "Regional_Forest_Pyramid_" + scale + "m";
+};
+
+// Names of the checkpoint assets of the regional forest elevation 
+//  pyramid (from fine to coarse).
+exports.checkpointFileNames = function() {
+  var pyramid = exports.regionalPyramid;
+  
+  return pyramid.scales.filter(function(scale) {
+    return pyramid.checkpoints.indexOf(scale) !== -1;
+  }).map(exports.checkpointFileName);
+};
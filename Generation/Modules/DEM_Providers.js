@@ -0,0 +1,101 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Providers of the 30-m digital elevation model (DEM) used by 
+ *  the transect generation pipeline:
+ * 
+ *  1) "ALOS": ALOS AW3D30 (Version 3.2, released in January 2021).
+ *     (A digital surface model including the canopy height.)
+ * 
+ *  2) "Copernicus": Copernicus DEM GLO-30.
+ * 
+ *  3) "NASADEM": NASADEM (reprocessed SRTM).
+ * 
+ *  4) "SRTM": SRTM (Version 3.0).
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Dataset ID, band name, and data type (Image OR ImageCollection)
+//  of each DEM provider.
+var providers = {
+  ALOS: {
+    id: "JAXA/ALOS/AW3D30/V3_2",
+    band: "DSM",
+    isCollection: true
+  },
+  Copernicus: {
+    id: "COPERNICUS/DEM/GLO30",
+    band: "DEM",
+    isCollection: true
+  },
+  NASADEM: {
+    id: "NASA/NASADEM_HGT/001",
+    band: "elevation",
+    isCollection: false
+  },
+  SRTM: {
+    id: "USGS/SRTMGL1_003",
+    band: "elevation",
+    isCollection: false
+  }
+};
+
+// Band name of the loaded elevation (the same for all providers).
+exports.bandName = "elevation";
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Check the name of a DEM provider.
+exports.checkProvider = function(name) {
+  if (!providers.hasOwnProperty(name)) {
+    throw new Error("Unknown DEM provider: " + name + " (expected "
+      + Object.keys(providers).join(", ") + ").");
+  }
+};
+
+// Load the elevation of a DEM provider in a region.
+exports.loadElevation = function(name, region, proj) {
+  exports.checkProvider(name);
+  
+  var provider = providers[name];
+  
+  var elevation;
+  
+  if (provider.isCollection) {
+    // Mosaic the tiles of the DEM in the region.
+    elevation = ee.ImageCollection(provider.id)
+      .select(provider.band)
+      .filterBounds(region)
+      .mosaic();
+  } else {
+    elevation = ee.Image(provider.id)
+      .select(provider.band);
+  }
+  
+  return elevation.rename(exports.bandName)
+    .reproject(proj);
+};
+
+// Load the mask of valid ALOS landforms.
+//  The ALOS landform dataset is based on the 30m "AVE" band of 
+//  JAXA's ALOS DEM (Version 1.1), which has stripes of invalid data 
+//  in areas over 60 degrees in latitude. This mask is tied to 
+//  the landform dataset and does not depend on the selected DEM provider.
+exports.loadLandformMask = function(proj) {
+  var ALOSv11 = ee.Image("JAXA/ALOS/AW3D30_V1_1").select("AVE")
+    .reproject(proj);
+  
+  return ALOSv11.mask();
+};
+
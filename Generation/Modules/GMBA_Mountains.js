@@ -0,0 +1,67 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Functions to select mountain ranges from the GMBA Mountain Inventory
+ *  (Version 2.0) database by name or ID.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// File names of the two extents of the GMBA Mountain Inventory v2.0.
+var fileNames = {
+  Broad: "GMBA_Inventory_v2_Broad",
+  Basic: "GMBA_Inventory_v2_Basic"
+};
+
+// Property names of the range name and ID.
+exports.nameField = "MapName";
+exports.idField = "GMBA_V2_ID";
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Load the mountain ranges of the "Broad" or "Basic" extent.
+exports.loadInventory = function(wd_Global, extent) {
+  if (!fileNames.hasOwnProperty(extent)) {
+    throw new Error("Unknown GMBA extent: " + extent
+      + " (expected \"Broad\" or \"Basic\").");
+  }
+  
+  return ee.FeatureCollection(wd_Global
+    + "GMBA_Mountain_Inventory_v2/"
+    + fileNames[extent]);
+};
+
+// Select a mountain range by name (string) or ID (number).
+//  (Throws an error if no range of the extent matches.)
+exports.selectRange = function(wd_Global, extent, nameOrID) {
+  var field;
+  
+  if (typeof nameOrID === "string") {
+    field = exports.nameField;
+  } else if (typeof nameOrID === "number") {
+    field = exports.idField;
+  } else {
+    throw new Error("A GMBA range should be selected by "
+      + "its name (string) or ID (number).");
+  }
+  
+  var selectedRange = exports.loadInventory(wd_Global, extent)
+    .filter(ee.Filter.eq(field, nameOrID));
+  
+  if (selectedRange.size().getInfo() === 0) {
+    throw new Error("No GMBA range with the " + field + " " 
+      + JSON.stringify(nameOrID) + " in the \"" + extent + "\" extent.");
+  }
+  
+  return selectedRange;
+};
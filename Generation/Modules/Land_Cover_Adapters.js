@@ -0,0 +1,372 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Land cover adapters that map different land cover datasets to 
+ *  the same common classes (the crosswalk below), from which 
+ *  the "closed forest", "non-forested", "snow" and "bare" masks 
+ *  are extracted in the same way for every dataset:
+ * 
+ *  1) "Copernicus": Copernicus Global Land Cover (Version 3.0.1, 100 m), 
+ *     2015 - 2019.
+ * 
+ *  2) "WorldCover": ESA WorldCover (10 m), 2020 - 2021, with its 
+ *     "Tree cover" class split by the Hansen tree canopy cover.
+ * 
+ *  3) "DynamicWorld": Dynamic World (Version 1, 10 m), 2016 onward.
+ * 
+ *  4) "Hansen": Hansen Global Forest Change (Version 1.11, 30 m) 
+ *     tree canopy cover in 2000 updated by the forest loss / gain 
+ *     up to each selected year.
+ * 
+ *  Areas classified as closed forests (OR non-forested areas, 
+ *  snow, bare areas, land) in ALL the selected years are extracted.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Common classes of all the land cover datasets
+//  (0: unclassified, e.g., no data or ocean).
+var commonClasses = {
+  closedForest: 1, // Tree canopy > 70 %.
+  otherTrees: 2, // Open forests, and forests lost or gained (Hansen).
+  shrubland: 3,
+  herbaceous: 4, // Grassland, cropland, herbaceous wetland, moss and lichen.
+  bare: 5, // Bare / sparse vegetation.
+  snow: 6, // Snow and ice.
+  water: 7,
+  builtUp: 8,
+  nonTree: 9 // Land without trees of an unknown class (Hansen).
+};
+
+// Common classes of each mask (the same for all the datasets):
+//  the non-forested areas are the land without trees, 
+//  excluding water, built-up areas, and snow and ice.
+var classMasks = {
+  ClosedForests: [commonClasses.closedForest],
+  NonForested: [commonClasses.shrubland, commonClasses.herbaceous, 
+    commonClasses.bare, commonClasses.nonTree],
+  Snow: [commonClasses.snow],
+  Bare: [commonClasses.bare],
+  Land: [commonClasses.closedForest, commonClasses.otherTrees, 
+    commonClasses.shrubland, commonClasses.herbaceous, commonClasses.bare, 
+    commonClasses.snow, commonClasses.builtUp, commonClasses.nonTree]
+};
+
+// Common classes distinguished by Copernicus and WorldCover 
+//  (all but the land without trees of an unknown class).
+var copernicus_Classes = [commonClasses.closedForest, 
+  commonClasses.otherTrees, commonClasses.shrubland, 
+  commonClasses.herbaceous, commonClasses.bare, commonClasses.snow, 
+  commonClasses.water, commonClasses.builtUp];
+
+// Hansen tree canopy cover thresholds (in percent).
+//  "closedForest_Thres": closed forests (tree canopy > 70 %).
+//  "nonForested_Thres": non-forested areas.
+var hansen_Thresholds = {
+  closedForest_Thres: 70,
+  nonForested_Thres: 10
+};
+
+// Last year of the Hansen forest gain (only mapped as a total 
+//  over 2000 - 2012, without the year of gain).
+var hansen_GainLastYear = 2012;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Crosswalk the classes of a dataset to the common classes
+//  ("pairs": [dataset class, common class]; other classes 
+//  as unclassified).
+var remapClasses = function(lcImg, pairs) {
+  return lcImg.remap(
+    pairs.map(function(pair) {return pair[0];}), 
+    pairs.map(function(pair) {return pair[1];}), 
+    0);
+};
+
+// Read the Hansen tree canopy cover of 2000 with the forest loss 
+//  and gain up to a year.
+var readHansen = function(year) {
+  var hansen = ee.Image("UMD/hansen/global_forest_change_2023_v1_11");
+  
+  // Forest loss from 2001 to the year (0 for 2000).
+  var lost = hansen.select("lossyear").gt(0)
+    .and(hansen.select("lossyear").lte(year - 2000))
+    .rename("lost");
+  
+  // Forest gain by the year (counted from 2012 on).
+  var gained = hansen.select("gain")
+    .multiply(year >= hansen_GainLastYear ? 1 : 0)
+    .rename("gained");
+  
+  return hansen.select(["treecover2000", "datamask"])
+    .addBands(lost)
+    .addBands(gained);
+};
+
+// Closed canopies of the Hansen land cover of a year: 
+//  tree canopy > 70 % in 2000 without forest loss up to the year.
+var extractHansen_ClosedCanopy = function(hansenImg) {
+  return hansenImg.select("treecover2000")
+    .gt(hansen_Thresholds.closedForest_Thres)
+    .and(hansenImg.select("lost").eq(0));
+};
+
+// Each adapter defines:
+//  "firstYear" and "lastYear": available years of the dataset.
+//  "readAnnual": read the land cover of a year in a region.
+//  "classify": crosswalk the land cover of a year to the common classes.
+//  "classes": common classes distinguished by the dataset.
+var adapters = {
+  
+  // Copernicus Global Land Cover:
+  //  closed forests: classes 111 - 116 (tree canopy > 70 %);
+  //  other trees: open forests (121 - 126).
+  Copernicus: {
+    firstYear: 2015,
+    lastYear: 2019,
+    readAnnual: function(year, region) {
+      return ee.Image("COPERNICUS/Landcover/100m/Proba-V-C3/Global/" + year)
+        .select("discrete_classification");
+    },
+    classify: function(lcImg) {
+      var forestPairs = [111, 112, 113, 114, 115, 116].map(function(code) {
+        return [code, commonClasses.closedForest];
+      }).concat([121, 122, 123, 124, 125, 126].map(function(code) {
+        return [code, commonClasses.otherTrees];
+      }));
+      
+      return remapClasses(lcImg, forestPairs.concat([
+        [20, commonClasses.shrubland],
+        [30, commonClasses.herbaceous],
+        [40, commonClasses.herbaceous],
+        [50, commonClasses.builtUp],
+        [60, commonClasses.bare],
+        [70, commonClasses.snow],
+        [80, commonClasses.water],
+        [90, commonClasses.herbaceous],
+        [100, commonClasses.herbaceous]
+      ]));
+    },
+    classes: copernicus_Classes
+  },
+  
+  // ESA WorldCover:
+  //  "Tree cover" (10) includes any tree canopy >= 10 %, so it is only 
+  //    a closed forest where the Hansen tree canopy of the year is 
+  //    closed (> 70 %; otherwise, other trees, as "Mangroves" (95)).
+  WorldCover: {
+    firstYear: 2020,
+    lastYear: 2021,
+    readAnnual: function(year, region) {
+      var version = {2020: "v100", 2021: "v200"}[year];
+      
+      var closedCanopy = extractHansen_ClosedCanopy(readHansen(year))
+        .rename("closed_Canopy");
+      
+      return ee.ImageCollection("ESA/WorldCover/" + version)
+        .first()
+        .select("Map")
+        .addBands(closedCanopy);
+    },
+    classify: function(lcImg) {
+      var lcClasses = lcImg.select("Map");
+      
+      var commonImg = remapClasses(lcClasses, [
+        [10, commonClasses.otherTrees],
+        [20, commonClasses.shrubland],
+        [30, commonClasses.herbaceous],
+        [40, commonClasses.herbaceous],
+        [50, commonClasses.builtUp],
+        [60, commonClasses.bare],
+        [70, commonClasses.snow],
+        [80, commonClasses.water],
+        [90, commonClasses.herbaceous],
+        [95, commonClasses.otherTrees],
+        [100, commonClasses.herbaceous]
+      ]);
+      
+      return commonImg.where(lcClasses.eq(10)
+        .and(lcImg.select("closed_Canopy")), commonClasses.closedForest);
+    },
+    classes: copernicus_Classes
+  },
+  
+  // Dynamic World (the most frequent class of each year):
+  //  closed forests: "trees" (1).
+  //  (The last year is set in the configuration, as the dataset 
+  //  is ongoing.)
+  DynamicWorld: {
+    firstYear: 2016,
+    lastYear: config.dynamicWorld.lastYear,
+    readAnnual: function(year, region) {
+      return ee.ImageCollection("GOOGLE/DYNAMICWORLD/V1")
+        .filterBounds(region)
+        .filterDate(year + "-01-01", (year + 1) + "-01-01")
+        .select("label")
+        .mode();
+    },
+    classify: function(lcImg) {
+      return remapClasses(lcImg, [
+        [0, commonClasses.water],
+        [1, commonClasses.closedForest],
+        [2, commonClasses.herbaceous],
+        [3, commonClasses.herbaceous],
+        [4, commonClasses.herbaceous],
+        [5, commonClasses.shrubland],
+        [6, commonClasses.builtUp],
+        [7, commonClasses.bare],
+        [8, commonClasses.snow]
+      ]);
+    },
+    classes: [commonClasses.closedForest, commonClasses.shrubland, 
+      commonClasses.herbaceous, commonClasses.bare, commonClasses.snow, 
+      commonClasses.water, commonClasses.builtUp]
+  },
+  
+  // Hansen Global Forest Change (the land cover of 2000 updated to a year):
+  //  closed forests: tree canopy > 70 % in 2000 without forest loss 
+  //    from 2001 to the year ("lossyear");
+  //  land without trees: tree canopy < 10 % in 2000 without forest gain 
+  //    (only from 2012 on, as the gain of 2000 - 2012 is not dated);
+  //  water: "datamask" of 2;
+  //  snow, bare and built-up areas: not classified.
+  Hansen: {
+    firstYear: 2000,
+    lastYear: 2023,
+    readAnnual: function(year, region) {
+      return readHansen(year);
+    },
+    classify: function(lcImg) {
+      var nonTree = lcImg.select("treecover2000")
+        .lt(hansen_Thresholds.nonForested_Thres)
+        .and(lcImg.select("gained").eq(0));
+      
+      return ee.Image(commonClasses.otherTrees)
+        .where(nonTree, commonClasses.nonTree)
+        .where(extractHansen_ClosedCanopy(lcImg), 
+          commonClasses.closedForest)
+        .where(lcImg.select("datamask").eq(2), commonClasses.water)
+        .where(lcImg.select("datamask").eq(0), 0);
+    },
+    classes: [commonClasses.closedForest, commonClasses.otherTrees, 
+      commonClasses.water, commonClasses.nonTree]
+  }
+};
+
+// Check the land cover source and its years.
+var checkSource = function(landCover) {
+  if (!adapters.hasOwnProperty(landCover.source)) {
+    throw new Error("Unknown land cover source: " + landCover.source 
+      + " (expected " + Object.keys(adapters).join(", ") + ").");
+  }
+  
+  var adapter = adapters[landCover.source];
+  
+  landCover.years.forEach(function(year) {
+    if (year < adapter.firstYear || year > adapter.lastYear) {
+      throw new Error("Year " + year + " is not available in " 
+        + landCover.source + " (" + adapter.firstYear 
+        + " - " + adapter.lastYear + ").");
+    }
+  });
+};
+
+// Read the annual land cover of the selected years in a region.
+var readLandCover = function(landCover, region) {
+  checkSource(landCover);
+  
+  var adapter = adapters[landCover.source];
+  
+  return ee.ImageCollection.fromImages(
+    landCover.years.map(function(year) {
+      return adapter.readAnnual(year, region);
+    })
+  );
+};
+
+// Check whether a mask ("ClosedForests", "NonForested", "Snow", "Bare" 
+//  OR "Land")
+//  is classified in a land cover source 
+//  (i.e., the source distinguishes any of its common classes).
+var hasMask = function(landCover, maskName) {
+  checkSource(landCover);
+  
+  var sourceClasses = adapters[landCover.source].classes;
+  
+  return classMasks[maskName].some(function(commonClass) {
+    return sourceClasses.indexOf(commonClass) !== -1;
+  });
+};
+
+// Extract and reproject areas of a mask in ALL the selected years
+//  (from the common classes of each year).
+var extractMask_inAllYears = function(landCover, region, proj, maskName) {
+  if (!hasMask(landCover, maskName)) {
+    throw new Error("The \"" + maskName + "\" class is not available in " 
+      + landCover.source + ".");
+  }
+  
+  var adapter = adapters[landCover.source];
+  
+  var maskClasses = classMasks[maskName];
+  
+  var annualMasks = readLandCover(landCover, region)
+    .map(function(lcImg) {
+      return adapter.classify(lcImg)
+        .remap(maskClasses, maskClasses.map(function() {return 1;}), 0);
+    });
+  
+  return annualMasks.min()
+    .reproject(proj);
+};
+
+// Extract and reproject areas classified as closed forests 
+//  in ALL the selected years.
+exports.extractClosedForests_inAllYears = function(landCover, region, proj) {
+  return extractMask_inAllYears(landCover, region, proj, "ClosedForests");
+};
+
+// Extract and reproject areas classified as non-forested areas 
+//  in ALL the selected years.
+exports.extractNonForested_inAllYears = function(landCover, region, proj) {
+  return extractMask_inAllYears(landCover, region, proj, "NonForested");
+};
+
+// Check whether a class ("Snow" OR "Bare") is classified 
+//  in a land cover source.
+exports.hasClass = function(landCover, className) {
+  return hasMask(landCover, className);
+};
+
+// Extract and reproject areas classified as snow and ice 
+//  in ALL the selected years.
+exports.extractSnow_inAllYears = function(landCover, region, proj) {
+  return extractMask_inAllYears(landCover, region, proj, "Snow");
+};
+
+// Extract and reproject areas classified as bare areas 
+//  in ALL the selected years.
+exports.extractBare_inAllYears = function(landCover, region, proj) {
+  return extractMask_inAllYears(landCover, region, proj, "Bare");
+};
+
+// Extract and reproject the land (classified, but not as water) 
+//  in ALL the selected years.
+exports.extractLand_inAllYears = function(landCover, region, proj) {
+  return extractMask_inAllYears(landCover, region, proj, "Land");
+};
@@ -0,0 +1,282 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Named classes of the ALOS landforms (CSP/ERGo, Version 1.0)
+ *  and presets of the classes regarded as ridges and valleys
+ *  (Steps 2.1 and 3.1).
+ * 
+ *  The landforms are loaded from one of two sources:
+ * 
+ *  1) "ALOS": the CSP/ERGo ALOS landforms dataset (based on 
+ *     the ALOS DEM V1.1; invalid in stripes over 60 degrees 
+ *     in latitude, which are masked out).
+ * 
+ *  2) "DEM": a classification of the configured DEM by its 
+ *     standardized topographic position index (TPI) at a small 
+ *     and a large radius, mapped to the same landform codes.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Modules *
+ ******************************************************************************/
+
+// DEM providers (please revise this to your GEE repository path).
+var dem = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/DEM_Providers");
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Band name of the loaded landforms.
+exports.bandName = "landform";
+
+// Landform codes of each named class.
+var classCodes = {
+  peakRidge: [11, 12, 13], // Peak/ridge (warm, normal and cool).
+  mountainDivide: [14], // Mountain/divide.
+  cliff: [15], // Cliff.
+  upperSlope: [21, 22, 23, 24], // Upper slope (warm, normal, cool and flat).
+  lowerSlope: [31, 32, 33, 34], // Lower slope (warm, normal, cool and flat).
+  valley: [41], // Valley.
+  narrowValley: [42] // Valley (narrow).
+};
+
+exports.classCodes = classCodes;
+
+// Presets of the landform classes regarded as ridges and valleys.
+//  "Default": peaks/ridges and mountains/divides (codes 11 - 14)
+//    as ridges; all valleys (codes 41 - 42) as valleys.
+//  "PeakRidge": peaks/ridges only as ridges.
+//  "Extended": upper slopes added to ridges and
+//    lower slopes added to valleys.
+var presets = {
+  Default: {
+    ridges: ["peakRidge", "mountainDivide"],
+    valleys: ["valley", "narrowValley"]
+  },
+  PeakRidge: {
+    ridges: ["peakRidge"],
+    valleys: ["valley", "narrowValley"]
+  },
+  Extended: {
+    ridges: ["peakRidge", "mountainDivide", "upperSlope"],
+    valleys: ["valley", "narrowValley", "lowerSlope"]
+  }
+};
+
+// Number of pixels along the radius of the TPI neighborhood 
+//  at the coarser scale of its statistics.
+var tpi_RadiusPixels = 10;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Check the names of the landform classes.
+var checkClasses = function(classNames) {
+  classNames.forEach(function(className) {
+    if (!classCodes.hasOwnProperty(className)) {
+      throw new Error("Unknown landform class: " + className + " (expected "
+        + Object.keys(classCodes).join(", ") + ").");
+    }
+  });
+};
+
+// Include (true) OR exclude (false) a landform class in a set
+//  (null: keep the set of the preset).
+var toggleClass = function(classNames, className, include) {
+  var others = classNames.filter(function(name) {
+    return name !== className;
+  });
+  
+  if (include === true) {
+    return others.concat([className]);
+  } else if (include === false) {
+    return others;
+  }
+  
+  return classNames;
+};
+
+// Determine the landform classes of ridges and valleys
+//  from the configured preset, cliffs and upper slopes.
+exports.resolveClassSets = function(landforms) {
+  if (!presets.hasOwnProperty(landforms.preset)) {
+    throw new Error("Unknown landform preset: " + landforms.preset
+      + " (expected " + Object.keys(presets).join(", ") + ").");
+  }
+  
+  var preset = presets[landforms.preset];
+  
+  var ridges = toggleClass(preset.ridges, "cliff",
+    landforms.includeCliffs);
+  
+  ridges = toggleClass(ridges, "upperSlope",
+    landforms.includeUpperSlopes);
+  
+  checkClasses(ridges);
+  checkClasses(preset.valleys);
+  
+  return {
+    ridges: ridges,
+    valleys: preset.valleys
+  };
+};
+
+// Extract the landforms of the named classes (1: in the classes; 0: not).
+exports.extractClasses = function(landforms, classNames) {
+  checkClasses(classNames);
+  
+  var codes = [];
+  
+  classNames.forEach(function(className) {
+    codes = codes.concat(classCodes[className]);
+  });
+  
+  var ones = codes.map(function() {
+    return 1;
+  });
+  
+  return landforms.remap(codes, ones, 0);
+};
+
+// Load and reproject the ALOS landforms dataset.
+var loadReproject_ALOSlandforms = function(proj) {
+  // The landform dataset is based on the 30m "AVE" band of JAXA's ALOS DEM 
+  //  (available in GEE as JAXA/ALOS/AW3D30_V1_1).
+  //  There are stripes of invalid data in areas over 60 degrees in latitude.
+  var rawLF = ee.Image('CSP/ERGo/1_0/Global/ALOS_landforms').select('constant')
+    .reproject(proj);
+  
+  // Remove the high-latitude stripes of invalid landforms  
+  //  in the landform dataset (based on the ALOS DEM V1.1).
+  var Landforms_noInvaid = rawLF.updateMask(dem.loadLandformMask(proj));
+  
+  return Landforms_noInvaid;
+};
+
+// Scale (in meters) of the neighborhood statistics of the TPI: 
+//  a fixed fraction of the radius, not finer than the projection.
+var tpiScale = function(radius, scale) {
+  return Math.max(scale, radius / tpi_RadiusPixels);
+};
+
+// Standardized topographic position index of the elevation 
+//  within a circular neighborhood (radius in meters):
+//  (elevation - neighborhood mean) / neighborhood standard deviation.
+//  The neighborhood statistics are computed on the elevation averaged 
+//  to a coarser scale (about ten pixels along the radius) and 
+//  resampled bilinearly to the projection, which keeps the cost of 
+//  large radii bounded.
+var standardizedTPI = function(elevation, radius, proj) {
+  var coarseProj = ee.Projection(proj.crs)
+    .atScale(tpiScale(radius, proj.scale));
+  
+  var coarseElv = elevation.reduceResolution({
+    reducer: ee.Reducer.mean(), 
+    maxPixels: 1024
+  }).reproject(coarseProj);
+  
+  var stats = coarseElv.reduceNeighborhood({
+    reducer: ee.Reducer.mean().combine({
+      reducer2: ee.Reducer.stdDev(), 
+      sharedInputs: true
+    }),
+    kernel: ee.Kernel.circle({
+      radius: radius, 
+      units: "meters"
+    })
+  }).reproject(coarseProj)
+    .resample("bilinear")
+    .reproject(proj);
+  
+  // Avoid the division by zero on flat terrain.
+  var stdDev = stats.select(1).max(1e-3);
+  
+  return elevation.subtract(stats.select(0))
+    .divide(stdDev);
+};
+
+// Classify the elevation into the ALOS landform codes by 
+//  the standardized TPI at a small and a large radius and the slope.
+//  (Warm and cool variants of the ALOS classes are not distinguished.)
+var classifyDEMlandforms = function(elevation, params, proj) {
+  var small_TPI = standardizedTPI(elevation, params.radii[0], proj);
+  var large_TPI = standardizedTPI(elevation, params.radii[1], proj);
+  
+  var slope = ee.Terrain.slope(elevation);
+  
+  var thres = params.position_Thres;
+  var flat = slope.lte(params.flat_Slope);
+  
+  var smallRidge = small_TPI.gt(thres);
+  var smallValley = small_TPI.lt(-thres);
+  
+  // From the lowest to the highest priority.
+  var landforms = ee.Image(32) // Lower slope.
+    .where(large_TPI.gte(0), 22) // Upper slope.
+    .where(flat.and(large_TPI.lt(0)), 34) // Lower slope (flat).
+    .where(flat.and(large_TPI.gte(0)), 24) // Upper slope (flat).
+    .where(smallValley, 41) // Valley.
+    .where(smallValley.and(large_TPI.lt(-thres)), 42) // Valley (narrow).
+    .where(smallRidge, 14) // Mountain/divide.
+    .where(smallRidge.and(large_TPI.gt(thres)), 12) // Peak/ridge.
+    .where(slope.gte(params.cliff_Slope), 15); // Cliff.
+  
+  return landforms.updateMask(elevation.mask())
+    .reproject(proj);
+};
+
+// Check the landform source and its parameters.
+var checkSource = function(landforms) {
+  if (landforms.source !== "ALOS" && landforms.source !== "DEM") {
+    throw new Error("Unknown landform source: " + landforms.source 
+      + " (expected \"ALOS\" or \"DEM\").");
+  }
+  
+  if (landforms.source === "DEM" 
+    && landforms.demClassification.radii.length !== 2) {
+    throw new Error("Two radii (small and large) are required "
+      + "for the DEM landform classification.");
+  }
+};
+
+// Load the landforms of the configured source in a region.
+exports.loadLandforms = function(landforms, demName, region, proj) {
+  checkSource(landforms);
+  
+  var landformImg;
+  
+  if (landforms.source === "ALOS") {
+    landformImg = loadReproject_ALOSlandforms(proj);
+  } else {
+    landformImg = classifyDEMlandforms(
+      dem.loadElevation(demName, region, proj), 
+      landforms.demClassification, proj);
+  }
+  
+  return landformImg.rename(exports.bandName);
+};
+
+// Width of the neighborhood used to derive the landforms 
+//  (number of pixels; 0 for the ALOS landforms dataset): 
+//  the large radius plus a coarse pixel of its statistics.
+exports.neighborhoodPixels = function(landforms, scale) {
+  checkSource(landforms);
+  
+  if (landforms.source === "ALOS") {
+    return 0;
+  }
+  
+  var radius = landforms.demClassification.radii[1];
+  
+  return Math.ceil((radius + tpiScale(radius, scale)) / scale);
+};
@@ -0,0 +1,161 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Landscape units partitioning the study domain for the transect
+ *  construction (Steps 2.2 - 4.1):
+ * 
+ *  1) "HydroBASINS": HydroSHEDS water basins (Version 1)
+ *     of a level (1 - 12).
+ * 
+ *  2) "HexGrid": a regular grid of hexagons on the local UTM zone.
+ * 
+ *  3) "Custom": a user-supplied polygon collection with an ID property.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Modules *
+ ******************************************************************************/
+
+// Local projections (please revise this to your GEE repository path).
+var projections = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Projections");
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Property name of the unit ID of each built-in unit type.
+var builtIn_IDfields = {
+  HydroBASINS: "HYBAS_ID",
+  HexGrid: "unit_ID"
+};
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Check the type of the landscape units and its parameters.
+var checkUnits = function(landscapeUnits) {
+  var type = landscapeUnits.type;
+  
+  if (type === "HydroBASINS") {
+    if (landscapeUnits.level < 1 || landscapeUnits.level > 12) {
+      throw new Error("HydroBASINS level " + landscapeUnits.level
+        + " is not available (1 - 12).");
+    }
+  } else if (type === "HexGrid") {
+    if (!(landscapeUnits.hexSize > 0)) {
+      throw new Error("The hexagon size must be positive.");
+    }
+  } else if (type === "Custom") {
+    if (!landscapeUnits.assetId || !landscapeUnits.idField) {
+      throw new Error("Custom landscape units require "
+        + "an \"assetId\" and an \"idField\".");
+    }
+  } else {
+    throw new Error("Unknown landscape unit type: " + type
+      + " (expected \"HydroBASINS\", \"HexGrid\" or \"Custom\").");
+  }
+};
+
+// Property name of the unit ID
+//  (used as the key of all the joins by unit).
+exports.idField = function(landscapeUnits) {
+  checkUnits(landscapeUnits);
+  
+  if (landscapeUnits.type === "Custom") {
+    return landscapeUnits.idField;
+  }
+  
+  return builtIn_IDfields[landscapeUnits.type];
+};
+
+// Build a grid of flat-topped hexagons (circumradius in meters)
+//  covering a region on its local UTM zone.
+var buildHexGrid = function(region, hexSize, proj) {
+  var utmProj = projections.localUTM(region, proj.scale);
+  
+  // Bounds of the region in the UTM coordinates.
+  var corners = ee.List(region.bounds(1, utmProj.crs)
+    .coordinates().get(0));
+  
+  var xs = corners.map(function(corner) {
+    return ee.List(corner).get(0);
+  });
+  
+  var ys = corners.map(function(corner) {
+    return ee.List(corner).get(1);
+  });
+  
+  var xMin = ee.Number(xs.reduce(ee.Reducer.min()));
+  var yMin = ee.Number(ys.reduce(ee.Reducer.min()));
+  
+  // Spacing of the hexagon columns and rows.
+  var colStep = hexSize * 1.5;
+  var rowStep = hexSize * Math.sqrt(3);
+  
+  var cols = ee.List.sequence(-1, ee.Number(xs.reduce(ee.Reducer.max()))
+    .subtract(xMin).divide(colStep).ceil());
+  
+  var rows = ee.List.sequence(-1, ee.Number(ys.reduce(ee.Reducer.max()))
+    .subtract(yMin).divide(rowStep).ceil());
+  
+  // Vertex angles of a flat-topped hexagon (in radians).
+  var angles = [0, 60, 120, 180, 240, 300].map(function(degrees) {
+    return degrees * Math.PI / 180;
+  });
+  
+  var hexagons = cols.map(function(col) {
+    col = ee.Number(col);
+    
+    return rows.map(function(row) {
+      row = ee.Number(row);
+      
+      // Center of the hexagon (odd columns shifted by half a row).
+      var centerX = xMin.add(col.multiply(colStep));
+      var centerY = yMin.add(row.multiply(rowStep))
+        .add(col.mod(2).multiply(rowStep / 2));
+      
+      var ring = ee.List(angles.map(function(angle) {
+        return ee.List([
+          centerX.add(hexSize * Math.cos(angle)),
+          centerY.add(hexSize * Math.sin(angle))]);
+      }));
+      
+      var hexagon = ee.Geometry.Polygon(ee.List([ring]), 
+        utmProj.crs, false);
+      
+      return ee.Feature(hexagon, {
+        unit_ID: col.multiply(1e6).add(row)
+      });
+    });
+  }).flatten();
+  
+  return ee.FeatureCollection(hexagons)
+    .filterBounds(region);
+};
+
+// Load the landscape units intersecting a region.
+exports.loadUnits = function(landscapeUnits, region, proj) {
+  checkUnits(landscapeUnits);
+  
+  var type = landscapeUnits.type;
+  
+  if (type === "HydroBASINS") {
+    return ee.FeatureCollection("WWF/HydroSHEDS/v1/Basins/hybas_"
+      + landscapeUnits.level)
+      .filterBounds(region);
+  } else if (type === "HexGrid") {
+    return buildHexGrid(region, landscapeUnits.hexSize, proj);
+  }
+  
+  return ee.FeatureCollection(landscapeUnits.assetId)
+    .filterBounds(region);
+};
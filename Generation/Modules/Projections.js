@@ -0,0 +1,105 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Functions for evaluating distances in meters on a locally 
+ *  appropriate projection: the Universal Transverse Mercator (UTM) zone
+ *  of a region (e.g., a tile or the AOI), where each pixel is 
+ *  (nearly) square in meters at any latitude. Also converts distances
+ *  in pixels of the geographic (EPSG:4326) grid to meters by 
+ *  the ground size of the pixel at its latitude.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Meters per degree along the equator of the WGS 84 ellipsoid 
+//  (used by Earth Engine to convert a nominal scale of EPSG:4326 
+//  into degrees).
+var metersPerDegree_Equator = 111319.49;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Determine the UTM projection (WGS 84) of the zone 
+//  containing the centroid of a region.
+//  (Alpine treelines do not occur beyond the UTM limits of 84 degrees.)
+exports.localUTM = function(region, scale) {
+  var coords = region.centroid(1).coordinates().getInfo();
+  
+  var lon = coords[0];
+  var lat = coords[1];
+  
+  // UTM zone (1 - 60) of the longitude.
+  var zone = Math.min(Math.floor((lon + 180) / 6) + 1, 60);
+  
+  // EPSG code of the northern (326##) or southern (327##) hemisphere.
+  var epsgCode = (lat >= 0 ? 32600 : 32700) + zone;
+  
+  return {
+    crs: "EPSG:" + epsgCode,
+    scale: scale
+  };
+};
+
+// Convert a distance from meters to the number of pixels (rounded up).
+exports.metersToPixels = function(meters, scale) {
+  return Math.ceil(meters / scale);
+};
+
+// Size of a pixel of a projection in the units of its CRS 
+//  (degrees for the geographic grid; otherwise, meters).
+var pixelSize_inUnits = function(proj) {
+  if (proj.crs === "EPSG:4326") {
+    return proj.scale / metersPerDegree_Equator;
+  }
+  
+  return proj.scale;
+};
+
+// Column and row indices of the pixel of a projection 
+//  containing a point (ee.Number each).
+exports.pixelIndices = function(point, proj) {
+  var coords = point.transform(proj.crs, 1e-3)
+    .coordinates();
+  
+  var pixelSize = pixelSize_inUnits(proj);
+  
+  return {
+    col: ee.Number(coords.get(0)).divide(pixelSize).floor(),
+    row: ee.Number(coords.get(1)).divide(pixelSize).floor()
+  };
+};
+
+// Ground size (in meters) of a pixel of a projection at a latitude 
+//  (ee.Number, in degrees): for the geographic grid (EPSG:4326), 
+//  the side of a square of the same area as the pixel, derived from 
+//  the lengths of a degree of latitude and longitude on the WGS 84 
+//  ellipsoid; otherwise, the nominal scale.
+exports.pixelGroundSize = function(latitude, proj) {
+  if (proj.crs !== "EPSG:4326") {
+    return ee.Number(proj.scale);
+  }
+  
+  var pixelDegrees = proj.scale / metersPerDegree_Equator;
+  
+  var lat = ee.Number(latitude).multiply(Math.PI / 180);
+  
+  // Lengths of a degree of latitude and longitude (in meters).
+  var latDegree = ee.Number(111132.92)
+    .subtract(lat.multiply(2).cos().multiply(559.82))
+    .add(lat.multiply(4).cos().multiply(1.175));
+  
+  var lonDegree = lat.cos().multiply(111412.84)
+    .subtract(lat.multiply(3).cos().multiply(93.5));
+  
+  return latDegree.multiply(lonDegree).sqrt()
+    .multiply(pixelDegrees);
+};
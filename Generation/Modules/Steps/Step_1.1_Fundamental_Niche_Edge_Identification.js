@@ -0,0 +1,287 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 1.1 (Fundamental Niche Edge Identification; see 
+ *  the step script for the details), without any visualization or export, 
+ *  so that the step script, the sensitivity analysis and the pipeline 
+ *  orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// DEM providers (please revise this to your GEE repository path).
+var dem = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/DEM_Providers");
+
+// Local projections (please revise this to your GEE repository path).
+var projections = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Projections");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "dem", "wd_Global", "studyDomain",
+  "climatePeriod.startYear", "climatePeriod.endYear",
+  "climatePeriod.statistic",
+  "thresholds.vertical_Thres", "thresholds.horizontal_Neighborhood",
+  "thresholds.horizontal_Thres"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Working directory.
+var wd_Global = config.wd_Global;
+
+// First and last years of the CHELSA climatic treeline distance dataset.
+var chelsa_FirstYear = 1979;
+var chelsa_LastYear = 2013;
+
+// Temporal statistics of the climatic treeline elevation.
+var statistic_Reducers = {
+  mean: ee.Reducer.mean(),
+  median: ee.Reducer.median()
+};
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Check the configured climate period and temporal statistic.
+var checkClimatePeriod = function(period) {
+  if (period.startYear < chelsa_FirstYear 
+    || period.endYear > chelsa_LastYear
+    || period.startYear > period.endYear) {
+    throw new Error("Invalid climate period: " + period.startYear 
+      + " - " + period.endYear + " (expected years between " 
+      + chelsa_FirstYear + " and " + chelsa_LastYear + ").");
+  }
+  
+  if (!statistic_Reducers.hasOwnProperty(period.statistic)) {
+    throw new Error("Unknown temporal statistic: " + period.statistic
+      + " (expected \"mean\" or \"median\").");
+  }
+};
+
+// Calculate the temporal statistic and the linear trend 
+//  (in meters per decade) of the annual climatic treeline elevation 
+//  over a period.
+var aggregateTLH = function(TLH_Collection, period, proj) {
+  var TLH_inPeriod = TLH_Collection.filter(
+    ee.Filter.rangeContains("year", period.startYear, period.endYear));
+  
+  // Temporal statistic of the climatic treeline elevation.
+  var statisticTLH = TLH_inPeriod.select("TLH")
+    .reduce(statistic_Reducers[period.statistic])
+    .reproject(proj)
+    .rename("avgTLH");
+  
+  // Slope of the ordinary least squares regression against the year.
+  var trendTLH = TLH_inPeriod.select(["year", "TLH"])
+    .reduce(ee.Reducer.linearFit())
+    .select("scale")
+    .multiply(10) // Convert the trend to meters per decade.
+    .reproject(proj)
+    .rename("TLH_Trend");
+  
+  return statisticTLH.addBands(trendTLH);
+};
+
+// Extract regions vertically and horizontally close to
+//  the long-term climatic treeline. 
+//  The horizontal distance is evaluated in meters 
+//  on a local projection ("distProj", e.g., the UTM zone).
+var extractFundNicheEdge = function(avgTLH, elevation, thresholds, distProj) {
+  // Calculate the absolute vertical distance to 
+  //  the average climatic treeline elevation.
+  var absTLHdist = avgTLH.subtract(elevation).abs(); 
+  
+  // Extract regions within a certain vertical distance.
+  var extracted = absTLHdist.lte(thresholds.vertical_Thres);
+  
+  // Calculate the horizontal distance to the extracted regions 
+  //  at each pixel in the neighborhood.
+  var horizontal_Dist = extracted.fastDistanceTransform({
+    neighborhood: projections.metersToPixels(
+      thresholds.horizontal_Neighborhood, distProj.scale),
+    units: "pixels",
+    metric: "squared_euclidean"
+  }).sqrt() // Get the distance in the number of pixels.
+    .multiply(distProj.scale) // Convert the distance to meters.
+    .reproject(distProj);
+  
+  // Identify the fundamental niche edge of trees.
+  var fund_Niche_Edge = horizontal_Dist.lte(thresholds.horizontal_Thres)
+    .selfMask();
+  
+  return fund_Niche_Edge;
+};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// "Global Mountain Explorer (GME) - K3" binary dataset.  
+var k3Binary = ee.Image(wd_Global 
+  + "Global_Mountain_Explorer/" 
+  + "k3binary")
+  .reproject(prj_Info);
+
+// Elevation of the configured DEM provider in the AOI.
+var DEMelv = dem.loadElevation(config.dem, AOI, prj_Info);
+
+// Load the 30-arcsec CHELSA climatic treeline distance dataset.
+var chelsa_tlh = ee.Image(wd_Global 
+  + "Global_CHELSA_TLH_V1_2/" 
+  + "Stacked_CHELSA_v12_TLH_1979to2013_10000pixels_NAinterpolated_"
+  + "Predictor2_Zlevel9_DeflateCompressed");
+
+// Read the Global Multi-resolution Terrain Elevation Data (GMTED) product.
+var gmted = ee.Image(wd_Global + "GMTED/GMTED2010_30arcsec");
+
+// Study domain.
+var studyDomain = config.studyDomain;
+
+
+/*******************************************************************************
+ * 1) Resample the CHELSA climatic treeline distance (Version 1.2) dataset
+ *    from 30 arc-second to 30 m. *
+ ******************************************************************************/
+
+// Reproject the GMTED to 30 arc-second.
+gmted = gmted.reproject({
+  crs: chelsa_tlh.projection().crs(),
+  scale: chelsa_tlh.projection().nominalScale()
+});
+
+// Reproject the climatic treeline elevation to 30 m.
+//  (The bands of the CHELSA dataset are in the order of year.)
+var bandNames = chelsa_tlh.bandNames();
+
+var TLHreprj = ee.ImageCollection.fromImages(
+  ee.List.sequence(0, bandNames.size().subtract(1)).map(function(i){
+    var year = ee.Number(i).add(chelsa_FirstYear);
+    
+    // Select the CHELSA climatic treeline distance in each year.
+    var tlh = chelsa_tlh.select([bandNames.get(i)]);
+    
+    // Calculate the absolute climatic treeline elevation at 30 arc-second.
+    var height = tlh.add(gmted);
+    // add(): Only the intersection of unmasked pixels between the two inputs 
+    //  of the operation are considered and returned as unmasked, 
+    //  all else are masked.
+    
+    // Downscale the calculated climatic treeline elevation 
+    //  from 30 arc-secoonnd to 30 m by using 
+    //  the "bilinear" resampling algorithm.
+    var heightReprj = height.resample("bilinear")
+      .reproject(prj_Info);
+    
+    // Rename the reprojected climatic treeline elevation and
+    //  add a band of the year (for the trend calculation).
+    return heightReprj.rename("TLH")
+      .addBands(ee.Image.constant(year).toFloat().rename("year"))
+      .set("year", year);
+  })
+);
+
+
+/*******************************************************************************
+ * 2) Calculate the temporal average (or median) and trend of 
+ *    the climatic treeline elevation over the configured period
+ *    (within 1979 - 2013) in the "Global Mountain Explorer - K3" 
+ *    mountainous areas. *
+ ******************************************************************************/
+
+// Climate period:
+//  "startYear" and "endYear": first and last years of the period.
+//  "statistic": "mean" OR "median".
+var climatePeriod = config.climatePeriod;
+
+checkClimatePeriod(climatePeriod);
+
+// Calculate the temporal statistic and trend of 
+//  the climatic treeline elevation at the 30-m level
+//  within the "GME-K3" mountainous areas.
+var climaticTLH = aggregateTLH(TLHreprj, climatePeriod, prj_Info)
+  .updateMask(k3Binary)
+  .set({
+    startYear: climatePeriod.startYear,
+    endYear: climatePeriod.endYear,
+    statistic: climatePeriod.statistic
+  });
+
+// Average (or median) climatic treeline elevation.
+var avgTLH = climaticTLH.select("avgTLH");
+
+
+/*******************************************************************************
+ * 3) Extract regions vertically and horizontally close to
+ *    the long-term climatic treeline. *
+ ******************************************************************************/
+
+// Thresholds (in meters):
+//  "vertical_Thres": vertical distance to the climatic treeline.
+//  "horizontal_Neighborhood": neighborhood of the horizontal distance.
+//  "horizontal_Thres": horizontal distance to the extracted regions.
+var thresholds = config.thresholds;
+
+// Local UTM projection of the AOI for the horizontal distance.
+var dist_Proj = projections.localUTM(AOI, prj_Info.scale);
+
+// Identify the fundamental niche edge of trees.
+var fund_Niche_Edge = extractFundNicheEdge(avgTLH, DEMelv, 
+  thresholds, dist_Proj);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Climatic_Treeline_Elevation: {
+    image: climaticTLH,
+    region: AOI,
+    scale: prj_Info.scale,
+    crs: prj_Info.crs
+  },
+  Fundamental_Niche_Edge: {
+    image: fund_Niche_Edge,
+    region: AOI,
+    scale: prj_Info.scale,
+    crs: prj_Info.crs,
+    
+    // Halo width of each tile (number of pixels).
+    halo: projections.metersToPixels(
+      thresholds.horizontal_Neighborhood, prj_Info.scale),
+    
+    // Identify the fundamental niche edge within a tile 
+    //  (including its halo) on the local UTM projection of the tile
+    //  for the tiled execution mode.
+    buildTile: function(tileRegion) {
+      return extractFundNicheEdge(avgTLH.clip(tileRegion), 
+        dem.loadElevation(config.dem, tileRegion, prj_Info), 
+        thresholds, projections.localUTM(tileRegion, prj_Info.scale));
+    }
+  }
+};
+
+// Function and datasets for the threshold sensitivity analysis.
+exports.extractFundNicheEdge = extractFundNicheEdge;
+exports.avgTLH = avgTLH;
+exports.DEMelv = DEMelv;
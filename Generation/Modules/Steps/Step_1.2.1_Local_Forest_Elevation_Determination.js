@@ -0,0 +1,101 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 1.2.1 (Local Forest Elevation Determination; see 
+ *  the step script for the details), without any visualization or export, 
+ *  so that the step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// DEM providers (please revise this to your GEE repository path).
+var dem = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/DEM_Providers");
+
+// Land cover adapters (please revise this to your GEE repository path).
+var landCoverAdapters = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Land_Cover_Adapters");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "dem", "wd_Input",
+  "landCover.source", "landCover.years"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Elevation of the configured DEM provider in the AOI.
+var DEMelv = dem.loadElevation(config.dem, AOI, prj_Info);
+
+// Fundamental niche edge of trees.
+var fund_Niche_Edge = ee.Image(wd_Input
+  + "Fundamental_Niche_Edge");
+
+
+/*******************************************************************************
+ * 1) Determine the 30-m elevation of upper-montane closed forests 
+ *    in the configured years (2015 - 2019 by default) within 
+ *    the fundamental niche edge of trees. *
+ ******************************************************************************/
+
+// Determine and reproject areas classified as closed forests 
+//  in ALL the configured years.
+var CF_allYrs = landCoverAdapters.extractClosedForests_inAllYears(
+  config.landCover, AOI, prj_Info);
+
+// Collect the elevation of the extracted closed forests 
+//  within the fundamental niche edge of trees.
+var local_Forest_Elv = DEMelv.updateMask(fund_Niche_Edge)
+  .updateMask(CF_allYrs);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Local_Forest_Elevation: {
+    image: local_Forest_Elv,
+    region: AOI,
+    scale: prj_Info.scale,
+    crs: prj_Info.crs,
+    
+    // Halo width of each tile (number of pixels): 
+    //  no neighborhood operation in this step.
+    halo: 0,
+    
+    // Determine the local forest elevation within a tile 
+    //  for the tiled execution mode.
+    buildTile: function(tileRegion) {
+      return dem.loadElevation(config.dem, tileRegion, prj_Info)
+        .updateMask(fund_Niche_Edge)
+        .updateMask(CF_allYrs);
+    }
+  }
+};
+
+// Datasets checked by the step script.
+exports.fund_Niche_Edge = fund_Niche_Edge;
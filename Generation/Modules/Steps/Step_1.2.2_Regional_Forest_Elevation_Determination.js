@@ -0,0 +1,431 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 1.2.2 (Regional Forest Elevation Determination; 
+ *  see the step script for the details), without any visualization or 
+ *  export, so that the step script and the pipeline orchestrator can 
+ *  load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Functions for checking the exported assets.
+var assets = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Assets");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "wd_Input",
+  "regionalPyramid.scales", "regionalPyramid.reducer", 
+  "regionalPyramid.kernel", "regionalPyramid.checkpoints",
+  "regionalPyramid.smoothing.weighting", 
+  "regionalPyramid.smoothing.maxDistance"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Original resolution.
+var oldScale = config.prj_Info.scale;
+
+// Coordinate reference system.
+var CRS = config.prj_Info.crs;
+
+// Pyramid of the regional forest elevation:
+//  "scales": resolutions of the aggregated levels (in meters).
+//  "reducer": "mean", "median" OR "percentile".
+//  "histogram": elevation bins of the "median" and "percentile" reducers.
+//  "kernel": smoothing kernel (in pixels of the output scale).
+//  "checkpoints": scales of the levels exported as assets.
+//  "outputScale": scale of the smoothing and the export 
+//    (null: the original resolution).
+var pyramid = config.regionalPyramid;
+
+// Resolution of the coarsest level.
+var newScale = pyramid.scales[pyramid.scales.length - 1];
+
+// Resolution of the smoothed elevation.
+var outputScale = (pyramid.outputScale === undefined 
+  || pyramid.outputScale === null) ? oldScale : pyramid.outputScale;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Get the percentile of the pyramid statistic 
+//  ("median" as the 50th percentile; null for "mean").
+var getPercentile = function(pyramid) {
+  if (pyramid.reducer === "mean") {
+    return null;
+  } else if (pyramid.reducer === "median") {
+    return 50;
+  } else if (pyramid.reducer === "percentile") {
+    return pyramid.percentile;
+  }
+  
+  throw new Error("Unknown pyramid reducer: " + pyramid.reducer
+    + " (expected \"mean\", \"median\" or \"percentile\").");
+};
+
+// Create the smoothing kernel of the pyramid.
+var createKernel = function(kernel) {
+  if (["circle", "square", "gaussian"].indexOf(kernel.shape) === -1) {
+    throw new Error("Unknown kernel shape: " + kernel.shape
+      + " (expected \"circle\", \"square\" or \"gaussian\").");
+  }
+  
+  return ee.Kernel[kernel.shape]({
+    radius: kernel.radius,
+    sigma: kernel.sigma,
+    units: kernel.units
+  });
+};
+
+// Count the pixels of each elevation bin (one band per bin).
+//  Elevations beyond the histogram range are counted 
+//  in the first or last bin.
+var countByBin = function(elevation, histogram) {
+  var binNumber = Math.ceil((histogram.maxElv - histogram.minElv) 
+    / histogram.binWidth);
+  
+  var binIndices = [];
+  var binNames = [];
+  
+  for (var i = 0; i < binNumber; i++) {
+    binIndices.push(i);
+    binNames.push("bin_" + i);
+  }
+  
+  // Index of the elevation bin at each pixel.
+  var binIndex = elevation.subtract(histogram.minElv)
+    .divide(histogram.binWidth)
+    .floor()
+    .clamp(0, binNumber - 1);
+  
+  // Set the count of the other bins (and of the masked pixels) to 0.
+  return ee.Image.constant(binIndices).eq(binIndex)
+    .unmask(0)
+    .float()
+    .rename(binNames);
+};
+
+// Derive a percentile of elevation from the pixel counts of 
+//  elevation bins (as the center of the bin reaching the percentile).
+var percentileFromCounts = function(counts, percentile, histogram) {
+  var countArray = counts.toArray();
+  
+  // Cumulative and total counts.
+  var cumCounts = countArray.arrayAccum(0, ee.Reducer.sum());
+  
+  var totalCount = countArray.arrayReduce(ee.Reducer.sum(), [0])
+    .arrayGet([0]);
+  
+  // Index of the first bin reaching the percentile.
+  var binIndex = cumCounts.gte(totalCount.multiply(percentile / 100))
+    .arrayArgmax()
+    .arrayGet([0]);
+  
+  return binIndex.multiply(histogram.binWidth)
+    .add(histogram.minElv + histogram.binWidth / 2)
+    .updateMask(totalCount.gt(0))
+    .float()
+    .rename("forest_Elv");
+};
+
+// Aggregate an image from one resolution to a coarser one.
+var reduceToScale = function(image, reducer, fromScale, toScale) {
+  // Calculate the factor of the resolution scaling of each axis.
+  var factor = Math.ceil(toScale / fromScale);
+  
+  return image.reduceResolution({ 
+    reducer: reducer,
+    maxPixels: factor * factor
+  }).reproject({ 
+    crs: CRS,
+    scale: toScale
+  });
+};
+
+// Aggregate a level of the pyramid from one resolution to a coarser one:
+//  the mean elevation and the number of closed-forest pixels
+//  OR the sum of the pixel counts of elevation bins.
+var aggregateLevel = function(level, fromScale, toScale) {
+  var aggregated;
+  
+  if (percentile === null) {
+    var elevation = reduceToScale(level.select("forest_Elv"), 
+      ee.Reducer.mean(), fromScale, toScale);
+    
+    // Set the mask of each valid pixel to 1.
+    elevation = elevation.updateMask(
+      elevation.gte(-1e18));
+    
+    var supportCount = reduceToScale(level.select("support_Count"), 
+      ee.Reducer.sum(), fromScale, toScale);
+    
+    aggregated = elevation.addBands(supportCount);
+    
+  } else {
+    
+    aggregated = reduceToScale(level, 
+      ee.Reducer.sum(), fromScale, toScale);
+  }
+  
+  // Set the dataset to the float type.
+  return aggregated.float()
+    .set(statisticProperties);
+};
+
+// Count the closed-forest pixels (at 30 m) in each pixel of a level.
+var countSupport = function(level) {
+  if (percentile === null) {
+    return level.select("support_Count")
+      .unmask(0);
+  }
+  
+  return level.reduce(ee.Reducer.sum())
+    .rename("support_Count");
+};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Determined elevation of upper-montane closed forests at 30 m.
+var local_Forest_Elv = ee.Image(wd_Input
+  + "Local_Forest_Elevation");
+
+
+/*******************************************************************************
+ * 1) Aggregate the determined elevation of upper-montane closed forests
+ *    from 30 m through each configured scale of the pyramid. *
+ ******************************************************************************/
+
+pyramid.checkpoints.forEach(function(scale) {
+  if (pyramid.scales.indexOf(scale) === -1) {
+    throw new Error("Checkpoint " + scale 
+      + " m is not a scale of the pyramid.");
+  }
+});
+
+// Percentile of the regional forest elevation (null for the mean).
+//  A percentile is derived from the pixel counts of elevation bins, 
+//  which are summed through the levels of the pyramid 
+//  (instead of aggregating the percentiles of each level).
+var percentile = getPercentile(pyramid);
+
+// Statistic of the regional forest elevation (in the asset metadata).
+var statisticProperties = {
+  statistic: percentile === null ? "mean" : "percentile",
+  percentile: percentile === null ? -1 : percentile,
+  binWidth: percentile === null ? -1 : pyramid.histogram.binWidth
+};
+
+// Aggregated level and scale of each checkpoint (to be exported).
+var checkpointLevels = {};
+
+// Aggregate the elevation (OR the pixel counts of elevation bins) 
+//  level by level. 
+//  (A checkpoint level is loaded from its asset once exported.)
+var forest_Level = percentile === null 
+  ? local_Forest_Elv.rename("forest_Elv")
+    .addBands(local_Forest_Elv.mask().float().rename("support_Count"))
+  : countByBin(local_Forest_Elv, pyramid.histogram);
+
+var fromScale = oldScale;
+
+pyramid.scales.forEach(function(toScale) {
+  var level = aggregateLevel(forest_Level, fromScale, toScale);
+  
+  if (pyramid.checkpoints.indexOf(toScale) !== -1) {
+    var fileName = config.checkpointFileName(toScale);
+    
+    var exported = assets.assetExists(wd_Input + fileName);
+    
+    checkpointLevels[fileName] = {
+      image: level, 
+      scale: toScale, 
+      exported: exported
+    };
+    
+    if (exported) {
+      var checkpoint = ee.Image(wd_Input + fileName);
+      
+      // Check that the exported checkpoint has the bands of 
+      //  the configured pyramid before reusing it.
+      var expectedBands = level.bandNames().getInfo();
+      var checkpointBands = checkpoint.bandNames().getInfo();
+      
+      if (expectedBands.join(",") !== checkpointBands.join(",")) {
+        throw new Error("The checkpoint asset " + wd_Input + fileName 
+          + " has the bands [" + checkpointBands.join(", ") 
+          + "] instead of [" + expectedBands.join(", ") 
+          + "] of the configured pyramid. Please delete it "
+          + "to export it again.");
+      }
+      
+      level = checkpoint;
+    }
+  }
+  
+  forest_Level = level;
+  fromScale = toScale;
+});
+
+// Names of the checkpoint assets (from fine to coarse).
+var checkpointFileNames = Object.keys(checkpointLevels);
+
+
+/*******************************************************************************
+ * 2) Smooth the coarsest level at the output scale
+ *    within the configured kernel. *
+ ******************************************************************************/
+
+// Smoothing options:
+//  "weighting": "count" (weight each neighbor by its number of 
+//    closed-forest pixels) OR "none" (unweighted focal mean).
+//  "maxDistance": maximum distance (in pixels of the output scale) 
+//    of the extrapolation to cells without closed forests (0: no limit).
+var smoothing = pyramid.smoothing;
+
+var kernel = createKernel(pyramid.kernel);
+
+// Number of the closed-forest pixels in each cell of the coarsest level, 
+//  spread evenly over its pixels at the output scale 
+//  (so that the kernel sums count each closed-forest pixel once).
+var supportCount = countSupport(forest_Level)
+  .divide(Math.pow(Math.max(newScale / outputScale, 1), 2));
+
+var smoothed_Elv;
+var forest_Elv;
+
+if (percentile === null) {
+  
+  forest_Elv = forest_Level.select("forest_Elv");
+  
+  if (smoothing.weighting === "count") {
+    
+    // Focal mean of the aggregated elevation weighted by 
+    //  the number of closed-forest pixels.
+    var weightedSum = forest_Elv.multiply(supportCount)
+      .unmask(0)
+      .reduceNeighborhood({
+        reducer: ee.Reducer.sum(),
+        kernel: kernel
+      });
+    
+    var weightSum = supportCount.reduceNeighborhood({
+      reducer: ee.Reducer.sum(),
+      kernel: kernel
+    });
+    
+    smoothed_Elv = weightedSum.divide(weightSum)
+      .updateMask(weightSum.gt(0));
+    
+  } else {
+    
+    // Focal mean of the aggregated elevation.
+    smoothed_Elv = forest_Elv.reduceNeighborhood({
+      reducer: ee.Reducer.mean(),
+      kernel: kernel, 
+      skipMasked: false 
+      // Do NOT mask output pixels if the corresponding input pixel is masked.
+    });
+  }
+  
+} else {
+  
+  // Focal sum of the pixel counts of each elevation bin, 
+  //  from which the percentile is derived.
+  forest_Elv = percentileFromCounts(forest_Level, 
+    percentile, pyramid.histogram);
+  
+  var smoothed_Counts = forest_Level.reduceNeighborhood({
+    reducer: ee.Reducer.sum(),
+    kernel: kernel, 
+    skipMasked: false
+  }).rename(forest_Level.bandNames());
+  
+  smoothed_Elv = percentileFromCounts(smoothed_Counts, 
+    percentile, pyramid.histogram);
+}
+
+// Limit the extrapolation to cells within the maximum distance 
+//  of any cell with closed forests.
+if (smoothing.maxDistance > 0) {
+  var withinDistance = supportCount.gt(0).reduceNeighborhood({
+    reducer: ee.Reducer.max(),
+    kernel: ee.Kernel.circle(smoothing.maxDistance)
+  });
+  
+  smoothed_Elv = smoothed_Elv.updateMask(withinDistance);
+}
+
+smoothed_Elv = smoothed_Elv.reproject({
+  crs: CRS,
+  scale: outputScale
+}).rename("smoothed_Elv");
+
+// Number of the closed-forest pixels (at 30 m) supporting 
+//  each smoothed cell (as a confidence band).
+var smoothed_Support = supportCount.reduceNeighborhood({
+  reducer: ee.Reducer.sum(),
+  kernel: kernel
+}).reproject({
+  crs: CRS,
+  scale: outputScale
+}).rename("support_Count");
+
+// Keep the unsmoothed coarsest level and the support count as bands, 
+//  and write the statistic into the metadata.
+smoothed_Elv = smoothed_Elv.addBands(forest_Elv)
+  .addBands(smoothed_Support)
+  .set(statisticProperties);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Smoothed_Regional_Forest_Elevation: {
+    image: smoothed_Elv,
+    region: AOI,
+    scale: outputScale,
+    crs: CRS
+  }
+};
+
+checkpointFileNames.forEach(function(fileName) {
+  exports.outputs[fileName] = {
+    image: checkpointLevels[fileName].image,
+    region: AOI,
+    scale: checkpointLevels[fileName].scale,
+    crs: CRS
+  };
+});
+
+// Checkpoint assets not exported yet (from fine to coarse), 
+//  to be exported before the smoothed elevation.
+exports.missingCheckpoints = checkpointFileNames.filter(function(fileName) {
+  return !checkpointLevels[fileName].exported;
+});
+
+// Dataset checked by the step script.
+exports.local_Forest_Elv = local_Forest_Elv;
@@ -0,0 +1,324 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 1.2.5 (ATE Identification; see the step script 
+ *  for the details), without any visualization or export, so that the 
+ *  step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// DEM providers (please revise this to your GEE repository path).
+var dem = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/DEM_Providers");
+
+// Local projections (please revise this to your GEE repository path).
+var projections = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Projections");
+
+// GMBA mountain ranges (please revise this to your GEE repository path).
+var gmba = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/GMBA_Mountains");
+
+// Land cover adapters (please revise this to your GEE repository path).
+var landCoverAdapters = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Land_Cover_Adapters");
+
+// Surface exclusions (please revise this to your GEE repository path).
+var surfaceExclusions = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Surface_Exclusions");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "dem", "wd_Global", "wd_Input",
+  "mountainRange.extent", "landCover.source", "landCover.years",
+  "surfaceExclusions.enabled",
+  "thresholds.forest_Neighborhood", "thresholds.forest_Dist_Thres",
+  "regionalPyramid.smoothing.minSupport"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Bit of each criterion of the broad ATE in the diagnostic bitmask
+//  (1: passed; 0: failed). A pixel of the broad ATE passes all (31).
+var criteria_Bits = {
+  fund_Niche_Edge: 0, // Within the fundamental niche edge.
+  regional_Elv: 1, // Not below the (supported) regional forest elevation.
+  forest_Buffer: 2, // Within the buffer of upper-montane closed forests.
+  land: 3, // On the land of the configured land cover (not water).
+  surface: 4 // Not on an excluded glacier, snow or bare-rock surface.
+};
+
+// Bitmask value of the broad ATE.
+var allCriteria_Passed = (1 << Object.keys(criteria_Bits).length) - 1;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Generate a buffer of the determined closed forests.
+//  The distance is evaluated in meters on a local projection 
+//  ("distProj", e.g., the UTM zone).
+var bufferLocalForests = function(local_Forest_Elv, thresholds, distProj) {
+  // Extract the determined closed forests within the fundamental niche edge.
+  var local_Forests = local_Forest_Elv.mask();
+  
+  // Calculate the distance to the determined closed forests 
+  //  at each pixel in the neighborhood.
+  var dist_To_Forests = local_Forests.fastDistanceTransform({
+    neighborhood: projections.metersToPixels(
+      thresholds.forest_Neighborhood, distProj.scale),
+    units: "pixels",
+    metric: "squared_euclidean"
+  }).sqrt() // Get the distance in the number of pixels.
+    .multiply(distProj.scale) // Convert the distance to meters.
+    .reproject(distProj);
+  
+  // Identify areas within the distance threshold.
+  var forest_Buffer = dist_To_Forests.lte(thresholds.forest_Dist_Thres);
+  
+  return forest_Buffer;
+};
+
+// Encode the criteria of the broad ATE passed by each pixel 
+//  as a bitmask.
+var encodeCriteria = function(elevation, fund_Niche_Edge, regional_Elv, 
+  forest_Buffer, land, retained_Surfaces) {
+    var passed = {
+      fund_Niche_Edge: fund_Niche_Edge,
+      regional_Elv: elevation.gte(regional_Elv),
+      forest_Buffer: forest_Buffer,
+      land: land,
+      surface: retained_Surfaces
+    };
+    
+    var bitmask = ee.Image.constant(0);
+    
+    Object.keys(criteria_Bits).forEach(function(criterion) {
+      bitmask = bitmask.add(passed[criterion]
+        .unmask(0) // A masked criterion is failed.
+        .gt(0)
+        .leftShift(criteria_Bits[criterion]));
+    });
+    
+    return bitmask.uint8()
+      .rename("ATE_criteria");
+  };
+
+// Summarize the area (in square kilometers) of the fundamental niche edge 
+//  excluded by each criterion and by each excluded surface 
+//  (and of the broad ATE) within each mountain range. 
+//  (A pixel failing several criteria is counted in each.)
+var summarizeExclusions = function(criteria, surfaces, ranges, proj) {
+  var fundNicheEdge = criteria.bitwiseAnd(1 << criteria_Bits.fund_Niche_Edge)
+    .gt(0);
+  
+  var failedCriterion = function(criterion) {
+    return fundNicheEdge.and(
+      criteria.bitwiseAnd(1 << criteria_Bits[criterion]).eq(0));
+  };
+  
+  var areas = ee.Image.cat([
+    fundNicheEdge.rename("fundNicheEdge_Area"),
+    failedCriterion("regional_Elv").rename("excluded_RegionalElv"),
+    failedCriterion("forest_Buffer").rename("excluded_ForestBuffer"),
+    failedCriterion("land").rename("excluded_Land"),
+    failedCriterion("surface").rename("excluded_Surface"),
+    criteria.eq(allCriteria_Passed).rename("broadATE_Area"),
+    surfaceExclusions.excludedAreas(fundNicheEdge, surfaces)
+  ]);
+  
+  return surfaceExclusions.summarizeByRange(areas, surfaces, ranges, 
+    [gmba.idField, gmba.nameField], proj);
+};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Elevation of the configured DEM provider in the AOI.
+var DEMelv = dem.loadElevation(config.dem, AOI, prj_Info);
+
+// Land (not water) of the configured land cover in ALL its years.
+var land = landCoverAdapters.extractLand_inAllYears(
+  config.landCover, AOI, prj_Info);
+
+// Identified fundamental niche edge of trees.
+var fund_Niche_Edge = ee.Image(wd_Input
+  + "Fundamental_Niche_Edge");
+
+// Determined regional forest elevation (aggregated at 10 km) and 
+//  the number of closed-forest pixels supporting it.
+var regional_Forest_Elv = ee.Image(wd_Input
+  + "Smoothed_Regional_Forest_Elevation");
+
+// Exclude the regional forest elevation with low support.
+var smoothed_Elv_10km = regional_Forest_Elv.select("smoothed_Elv")
+  .updateMask(regional_Forest_Elv.select("support_Count")
+    .gte(config.regionalPyramid.smoothing.minSupport));
+
+// Determined local forest elevation at 30 m.
+var local_Forest_Elv = ee.Image(wd_Input
+  + "Local_Forest_Elevation");
+
+// Glaciers, persistent snow and bare rock to be excluded 
+//  (none unless enabled in the configuration).
+var excluded_Surfaces = surfaceExclusions.extractSurfaces(
+  config.surfaceExclusions, config.landCover, config.wd_Global, 
+  AOI, prj_Info);
+
+var retained_Surfaces = surfaceExclusions.retainedMask(excluded_Surfaces);
+
+
+/*******************************************************************************
+ * 1) Exclude the fundamental niche edge below the determined
+ *    regional forest elevation. *
+ ******************************************************************************/
+
+// Determine the elevation of the fundamental niche edge.
+var fund_Niche_Edge_Elv = DEMelv.updateMask(fund_Niche_Edge);
+
+// Identify areas higher than the regional forest elevation.
+var remaining_Fund_Niche_Edge = fund_Niche_Edge_Elv.gte(smoothed_Elv_10km);
+
+
+/*******************************************************************************
+ * 2) Identify the remaining fundamental niche edge within 
+ *    3 km of upper-montane closed forests. *
+ ******************************************************************************/
+
+// Thresholds (in meters):
+//  "forest_Neighborhood": neighborhood of the distance calculation.
+//  "forest_Dist_Thres": distance threshold of the buffer (3 km).
+var thresholds = config.thresholds;
+
+// Generate a 3-km buffer of the determined closed forests
+//  on the local UTM projection of the AOI.
+var forest_Buffer = bufferLocalForests(local_Forest_Elv, 
+  thresholds, projections.localUTM(AOI, prj_Info.scale));
+
+// Identify the remaining fundamental niche edge within the 3-km buffer.
+var real_Niche_Edge = remaining_Fund_Niche_Edge.updateMask(forest_Buffer);
+
+
+/*******************************************************************************
+ * 3) Exclude in-land water (and, optionally, glaciers, persistent 
+ *    snow and bare rock) from the defined broad extents of 
+ *    alpine treeline ecotones. *
+ ******************************************************************************/
+
+var broad_ATE = real_Niche_Edge.updateMask(land)
+  .updateMask(retained_Surfaces)
+  .selfMask()
+  .rename("broad_ATE");
+
+
+/*******************************************************************************
+ * 4) Encode the criteria passed by each pixel as a bitmask, and 
+ *    summarize the area of the fundamental niche edge excluded by 
+ *    each criterion within each GMBA mountain range. *
+ ******************************************************************************/
+
+// Diagnostic bitmask of the broad ATE criteria.
+var ATE_Criteria = encodeCriteria(DEMelv, fund_Niche_Edge, 
+  smoothed_Elv_10km, forest_Buffer, land, retained_Surfaces)
+  .reproject(prj_Info);
+
+// GMBA mountain ranges within the AOI.
+var ranges = gmba.loadInventory(config.wd_Global, 
+  config.mountainRange.extent)
+  .filterBounds(AOI)
+  .map(function(range) {
+    return range.intersection(AOI, 1);
+  });
+
+// Area excluded by each criterion per mountain range.
+var exclusion_Summary = summarizeExclusions(ATE_Criteria, 
+  excluded_Surfaces, ranges, prj_Info);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Broad_Alpine_Treeline_Ecotones: {
+    image: broad_ATE,
+    region: AOI,
+    scale: prj_Info.scale,
+    crs: prj_Info.crs,
+    
+    // Halo width of each tile (number of pixels).
+    halo: projections.metersToPixels(
+      thresholds.forest_Neighborhood, prj_Info.scale),
+    
+    // Identify the broad ATE within a tile (including its halo) 
+    //  for the tiled execution mode.
+    buildTile: function(tileRegion) {
+      var tile_Buffer = bufferLocalForests(
+        local_Forest_Elv.clip(tileRegion), thresholds, 
+        projections.localUTM(tileRegion, prj_Info.scale));
+      
+      return dem.loadElevation(config.dem, tileRegion, prj_Info)
+        .updateMask(fund_Niche_Edge)
+        .gte(smoothed_Elv_10km)
+        .updateMask(tile_Buffer)
+        .updateMask(land)
+        .updateMask(retained_Surfaces)
+        .selfMask()
+        .rename("broad_ATE");
+    }
+  },
+  Broad_ATE_Criteria: {
+    image: ATE_Criteria,
+    region: AOI,
+    scale: prj_Info.scale,
+    crs: prj_Info.crs,
+    
+    // Halo width of each tile (number of pixels).
+    halo: projections.metersToPixels(
+      thresholds.forest_Neighborhood, prj_Info.scale),
+    
+    // Encode the criteria within a tile (including its halo) 
+    //  for the tiled execution mode.
+    buildTile: function(tileRegion) {
+      var tile_Buffer = bufferLocalForests(
+        local_Forest_Elv.clip(tileRegion), thresholds, 
+        projections.localUTM(tileRegion, prj_Info.scale));
+      
+      return encodeCriteria(
+        dem.loadElevation(config.dem, tileRegion, prj_Info), 
+        fund_Niche_Edge, smoothed_Elv_10km, tile_Buffer, 
+        land, retained_Surfaces)
+        .reproject(prj_Info);
+    }
+  },
+  Broad_ATE_Exclusion_Summary: {
+    collection: exclusion_Summary
+  }
+};
+
+// Datasets checked by the step script.
+exports.smoothed_Elv_10km = smoothed_Elv_10km;
+exports.fund_Niche_Edge = fund_Niche_Edge;
+exports.local_Forest_Elv = local_Forest_Elv;
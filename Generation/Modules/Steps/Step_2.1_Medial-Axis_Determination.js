@@ -0,0 +1,223 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 2.1 (Medial-Axis Determination; see the step 
+ *  script for the details), without any visualization or export, so that 
+ *  the step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Landform classes (please revise this to your GEE repository path).
+var landformClasses = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Landform_Classes");
+
+// Local projections (please revise this to your GEE repository path).
+var projections = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Projections");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "dem", "wd_Input",
+  "thresholds.landform_Neighborhood", "landforms.source", 
+  "landforms.preset"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Landform classes of ridges and valleys.
+var landformSets = landformClasses.resolveClassSets(config.landforms);
+
+// Neighborhood of the distance to ridges / valleys 
+//  (converted from meters to the number of pixels).
+var landform_Neighborhood = projections.metersToPixels(
+  config.thresholds.landform_Neighborhood, prj_Info.scale);
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Extract the landforms of ridges.
+var extractRidgeLandforms = function(landforms) {
+  var ridges = landformClasses.extractClasses(landforms, 
+    landformSets.ridges);
+  
+  return ridges;
+};
+
+// Extract the landforms of valleys.
+var extractValleyLandforms = function(landforms) {
+  var valleys = landformClasses.extractClasses(landforms, 
+    landformSets.valleys);
+  
+  return valleys;
+};
+
+// Segment the study area based on the distance to a type of landform.
+var landformsDistance_Segmentation = function(landforms, proj) {
+  // Distance calculation.
+  var distParams = {
+    neighborhood: landform_Neighborhood,
+    units: "pixels",
+    metric: "squared_euclidean"
+  };
+  
+  var LF_dist = landforms.fastDistanceTransform(distParams)
+    .sqrt() // Get the distance in the number of pixels.
+    .reproject(proj);
+  
+  // Define a Laplacian, or isotropic-edge-detection kernel.
+  var laplacian = ee.Kernel.laplacian8({ 
+    normalize: false 
+  });
+  
+  // Apply the Laplacian edge-detection kernel to 
+  //  detect boundaries in the distance image.
+  var edgy = LF_dist.convolve(laplacian)
+    .reproject(proj);
+  
+  var segmented = edgy.gte(0);
+  
+  return segmented;
+};
+
+// Derive the square distance to the nearest ridges/valleys 
+//  at each pixel along the medial axis within the broad ATE.
+var extractMedialAxis_sqDist = function(
+  ridgesORvalleys_Img, proj, medialAxis_Mask, ATE_mask) {
+    var sqDist = ridgesORvalleys_Img.medialAxis({
+      neighborhood: landform_Neighborhood, 
+      units: "pixels"
+    }).select("medial")
+      .reproject(proj);
+    
+    var medialAxis_sqDist = sqDist.updateMask(medialAxis_Mask)
+      .updateMask(ATE_mask)
+      .rename("medialAxis_sqDist_inPixels");
+    
+    return medialAxis_sqDist;
+  };
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// "Broad" alpine treeline ecotones at 30 m.
+var broad_ATE = ee.Image(wd_Input
+  + "Broad_Alpine_Treeline_Ecotones");
+
+// Landforms of the configured source (the ALOS landforms dataset 
+//  OR the classification of the configured DEM).
+var LF_noInvaid = landformClasses.loadLandforms(config.landforms, 
+  config.dem, AOI, prj_Info);
+
+
+/*******************************************************************************
+ * 1) Extract the landforms of ridges and valleys. *
+ ******************************************************************************/
+
+// Ridges.
+var ridges = extractRidgeLandforms(LF_noInvaid);
+
+// Valleys.
+var valleys = extractValleyLandforms(LF_noInvaid);
+
+// Ridges or valleys.
+var ridges_OR_valleys = ridges.or(valleys); 
+
+
+/*******************************************************************************
+ * 2) Segment the entire study domain (not just the broad ATE) based on 
+ *    the distances to ridges / valleys / ridges + valleys. *
+ ******************************************************************************/
+
+var segmented_Ridges = landformsDistance_Segmentation(
+  ridges, prj_Info);
+
+var segmented_Valleys = landformsDistance_Segmentation(
+  valleys, prj_Info);
+
+var segmented_ridgesORvalleys = landformsDistance_Segmentation(
+  ridges_OR_valleys, prj_Info);
+
+
+/*******************************************************************************
+ * 3) Determine the medial axis between ridges and valleys. *
+ ******************************************************************************/
+
+var medial_Axis = segmented_Ridges
+  .and(segmented_Valleys)
+  .and(segmented_ridgesORvalleys.not());
+
+
+/*******************************************************************************
+ * 4) Derive the squared distance to the nearest ridges / valleys 
+ *    at each pixel along the determined medial axis within the broad ATE. *
+ ******************************************************************************/
+
+var sqDist_MedialAxis = extractMedialAxis_sqDist(
+  ridges_OR_valleys, prj_Info, 
+  medial_Axis, broad_ATE);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  MedialAxis_SquaredDistance: {
+    image: sqDist_MedialAxis,
+    region: AOI,
+    scale: prj_Info.scale,
+    crs: prj_Info.crs,
+    
+    // Halo width of each tile (number of pixels): 
+    //  the distance neighborhood plus the Laplacian kernel radius
+    //  (and the neighborhood of the DEM landform classification).
+    halo: landform_Neighborhood + 1 
+      + landformClasses.neighborhoodPixels(config.landforms, prj_Info.scale),
+    
+    // Determine the medial axis within a tile (including its halo) 
+    //  for the tiled execution mode.
+    buildTile: function(tileRegion) {
+      var tile_LF = LF_noInvaid.clip(tileRegion);
+      
+      var tile_Ridges = extractRidgeLandforms(tile_LF);
+      var tile_Valleys = extractValleyLandforms(tile_LF);
+      var tile_RidgesORvalleys = tile_Ridges.or(tile_Valleys);
+      
+      var tile_MedialAxis = landformsDistance_Segmentation(
+        tile_Ridges, prj_Info)
+        .and(landformsDistance_Segmentation(tile_Valleys, prj_Info))
+        .and(landformsDistance_Segmentation(
+          tile_RidgesORvalleys, prj_Info).not());
+      
+      return extractMedialAxis_sqDist(
+        tile_RidgesORvalleys, prj_Info, 
+        tile_MedialAxis, broad_ATE);
+    }
+  }
+};
+
+// Datasets checked by the step script.
+exports.broad_ATE = broad_ATE;
@@ -0,0 +1,113 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 2.2 (Basin Selection; see the step script for the 
+ *  details), without any visualization or export, so that the step script 
+ *  and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Landscape units (please revise this to your GEE repository path).
+var landscapeUnits = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Landscape_Units");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "wd_Input", "studyDomain",
+  "landscapeUnits.type"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Extract the configured landscape units (by default, the most detailed 
+//  "level 12" HydroSHEDS water basins) intersecting the study domain
+//  (all its mountain ranges).
+var extractBasins_StudyDomain = function(studyDomain_FtrCol, proj) {
+  var studyDomain_Geom = studyDomain_FtrCol.geometry();
+  
+  var extractedBasins = landscapeUnits.loadUnits(config.landscapeUnits, 
+    studyDomain_Geom, proj);
+  
+  return extractedBasins;
+};
+
+// Select the landscape units intersecting
+//  the medial axis running between ridges and valleys.
+var selectBasins_MedialAxis = function(medialAxis_Img, rawBasins, proj) {
+  var basins_withInfo = medialAxis_Img.reduceRegions({
+    collection: rawBasins,
+    reducer: ee.Reducer.firstNonNull(), 
+    scale: proj.scale,
+    crs: proj.crs
+  });
+  
+  var selectedBasins = basins_withInfo
+    .filter(ee.Filter.notNull(["first"]));
+  
+  return selectedBasins;
+};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Study domain.
+var studyDomain = config.studyDomain;
+
+// Medial axis running between ridges and valleys across the broad ATE.
+var medialAxis = ee.Image(wd_Input 
+  + "MedialAxis_SquaredDistance");
+
+
+/*******************************************************************************
+ * 1) Select landscape units (by default, the "hybas_12" water basins) 
+ *    intersecting the study domain and the determined medial axis 
+ *    across the broad ATE. *
+ ******************************************************************************/
+
+// Collect the configured landscape units intersecting the study domain.
+//  (The selected units are still referred to as "basins" below.)
+var basins_StudyDomain = extractBasins_StudyDomain(studyDomain, prj_Info);
+
+// Select landscape units intersecting the determined medial axis.
+var selectedBasins_MedialAxis = selectBasins_MedialAxis(
+  medialAxis, basins_StudyDomain, prj_Info);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Selected_Basins: {
+    collection: selectedBasins_MedialAxis
+  }
+};
+
+// Datasets checked by the step script.
+exports.medialAxis = medialAxis;
@@ -0,0 +1,648 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 2.3 (Medial-Axis Vectorization; see the step 
+ *  script for the details), without any visualization or export, so that 
+ *  the step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Local projections (please revise this to your GEE repository path).
+var projections = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Projections");
+
+// Landscape units (please revise this to your GEE repository path).
+var landscapeUnits = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Landscape_Units");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "wd_Input",
+  "thresholds.centroid_Spacing", "landscapeUnits.type"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Property name of the basin (landscape unit) ID.
+var basinID_Str = landscapeUnits.idField(config.landscapeUnits);
+
+// Property name of the squared distance to the nearest ridges / valleys.
+var sqDist_Str = "medialAxis_sqDist_inPixels";
+
+// Property name of the skeleton ID.
+var skeletonID_Str = "skeleton_ID";
+
+// Minimum spacing of the thinned pixel centroids 
+//  (Euclidean distance in meters, not along the medial axis).
+var centroid_Spacing = config.thresholds.centroid_Spacing;
+
+// Number of the rounds of the non-maximum suppression.
+var suppression_Rounds = 4;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Vectorize pixels along the determined medial axis to their centroids 
+//  by water basin.
+var vectorizeMedialAxis_byBasin = function(medialAxisImg, basinsFtrCol, proj) {
+  var vectorization_byBasin = function(basin) {
+    var basinGeom = basin.geometry();
+    
+    var pxCtds_perBasin = medialAxisImg.reduceToVectors({
+      geometry: basinGeom, 
+      scale: proj.scale, 
+      geometryType: "centroid", 
+      eightConnected: true, 
+      labelProperty: medialAxisImg.bandNames().get(0), 
+      crs: proj.crs, 
+      maxPixels: 1e13
+    });
+    
+    return pxCtds_perBasin;
+  };
+  
+  var allPxCtds = basinsFtrCol.map(vectorization_byBasin);
+  
+  return allPxCtds.flatten();
+};
+
+// Record the ID and the pixel indices (column and row) on 
+//  the projection grid of each medial-axis pixel centroid.
+var indexPixelCentroids = function(pxCtds, proj) {
+  return pxCtds.map(function(pxCtd) {
+    var indices = projections.pixelIndices(pxCtd.geometry(), proj);
+    
+    return pxCtd.set({
+      pxCtd_ID: pxCtd.id(),
+      px_Col: indices.col,
+      px_Row: indices.row
+    });
+  });
+};
+
+// Pixel centroids of the same skeleton in the 8-neighborhood 
+//  of each other (including themselves) on the projection grid.
+var neighbor_Filter = ee.Filter.and(
+  ee.Filter.equals({
+    leftField: skeletonID_Str, 
+    rightField: skeletonID_Str
+  }),
+  ee.Filter.maxDifference({
+    difference: 1, 
+    leftField: "px_Col", 
+    rightField: "px_Col"
+  }),
+  ee.Filter.maxDifference({
+    difference: 1, 
+    leftField: "px_Row", 
+    rightField: "px_Row"
+  }));
+
+// Pixel centroid of the same skeleton at a corner 
+//  ("corner1" OR "corner2") of a diagonal segment.
+var cornerFilter = function(corner) {
+  return ee.Filter.and(
+    ee.Filter.equals({
+      leftField: skeletonID_Str, 
+      rightField: skeletonID_Str
+    }),
+    ee.Filter.equals({
+      leftField: corner + "_Col", 
+      rightField: "px_Col"
+    }),
+    ee.Filter.equals({
+      leftField: corner + "_Row", 
+      rightField: "px_Row"
+    }));
+};
+
+// Connect each pair of adjacent medial-axis pixel centroids 
+//  (in the 8-neighborhood) with a segment recording the squared distance 
+//  and the centroid ID at both vertices. A diagonal segment is dropped where 
+//  the two centroids are already connected through an orthogonal 
+//  neighbor of both, so the segments form no triangles.
+var connectAdjacentCentroids = function(pxCtds) {
+  // Pair each centroid with its adjacent centroids 
+  //  (each pair only once).
+  var adjacency_Filter = ee.Filter.and(
+    neighbor_Filter,
+    ee.Filter.lessThan({
+      leftField: "pxCtd_ID", 
+      rightField: "pxCtd_ID"
+    }));
+  
+  var adjacentPairs = ee.Join.inner().apply({
+    primary: pxCtds, 
+    secondary: pxCtds, 
+    condition: adjacency_Filter
+  });
+  
+  var segments = adjacentPairs.map(function(pair) {
+    var startCtd = ee.Feature(pair.get("primary"));
+    var endCtd = ee.Feature(pair.get("secondary"));
+    
+    var segment = ee.Geometry.LineString([
+      startCtd.geometry().coordinates(), 
+      endCtd.geometry().coordinates()]);
+    
+    var startCol = ee.Number(startCtd.get("px_Col"));
+    var startRow = ee.Number(startCtd.get("px_Row"));
+    var endCol = ee.Number(endCtd.get("px_Col"));
+    var endRow = ee.Number(endCtd.get("px_Row"));
+    
+    return ee.Feature(segment).set({
+      start_sqDist: startCtd.get(sqDist_Str),
+      end_sqDist: endCtd.get(sqDist_Str),
+      start_ID: startCtd.get("pxCtd_ID"),
+      end_ID: endCtd.get("pxCtd_ID"),
+      skeleton_ID: startCtd.get(skeletonID_Str),
+      is_Diagonal: endCol.subtract(startCol).abs()
+        .multiply(endRow.subtract(startRow).abs()),
+      corner1_Col: startCol,
+      corner1_Row: endRow,
+      corner2_Col: endCol,
+      corner2_Row: startRow
+    }).set(basinID_Str, startCtd.get(basinID_Str));
+  });
+  
+  // Drop the diagonal segments with a pixel centroid at either corner.
+  var unbridgedDiagonals = segments.filter(ee.Filter.eq("is_Diagonal", 1));
+  
+  ["corner1", "corner2"].forEach(function(corner) {
+    unbridgedDiagonals = ee.Join.inverted().apply({
+      primary: unbridgedDiagonals, 
+      secondary: pxCtds, 
+      condition: cornerFilter(corner)
+    });
+  });
+  
+  // Remove the temporary properties.
+  return segments.filter(ee.Filter.eq("is_Diagonal", 0))
+    .merge(unbridgedDiagonals)
+    .map(function(segment) {
+      return segment.select(["start_sqDist", "end_sqDist", 
+        "start_ID", "end_ID", skeletonID_Str, basinID_Str]);
+    });
+};
+
+// Assign the ID of the skeleton (the connected part of the medial axis) 
+//  and of the water basin to each medial-axis pixel centroid.
+var assignSkeletons_byBasin = function(medialAxisImg, basinsFtrCol, 
+  allPxCtds, proj) {
+    // Identify the connected parts of the medial axis.
+    var medialAxis_Mask = medialAxisImg.mask()
+      .gt(0)
+      .selfMask()
+      .rename("skeleton");
+    
+    var assignment_byBasin = function(basin) {
+      var basinGeom = basin.geometry();
+      
+      var skeletons = medialAxis_Mask.reduceToVectors({
+        geometry: basinGeom, 
+        scale: proj.scale, 
+        geometryType: "polygon", 
+        eightConnected: true, 
+        crs: proj.crs, 
+        maxPixels: 1e13
+      }).map(function(skeleton) {
+        return skeleton.set(skeletonID_Str, 
+          basin.id().cat("_").cat(skeleton.id()));
+      });
+      
+      // Assign the ID of the nearest skeleton to each pixel centroid.
+      return ee.Join.saveBest({
+        matchKey: "skeleton", 
+        measureKey: "skeleton_Dist"
+      }).apply({
+        primary: allPxCtds.filterBounds(basinGeom), 
+        secondary: skeletons, 
+        condition: ee.Filter.withinDistance({
+          distance: proj.scale, 
+          leftField: ".geo", 
+          rightField: ".geo", 
+          maxError: 1
+        })
+      }).map(function(pxCtd) {
+        return pxCtd.set(skeletonID_Str, 
+          ee.Feature(pxCtd.get("skeleton")).get(skeletonID_Str))
+          .set(basinID_Str, basin.get(basinID_Str))
+          .set({skeleton: null, skeleton_Dist: null});
+      });
+    };
+    
+    return basinsFtrCol.map(assignment_byBasin).flatten();
+  };
+
+// Secondary pixel centroids ranking above the primary ones: 
+//  of a greater squared distance, with the ties broken by 
+//  the pixel column and then the pixel row.
+var outranking_Filter = ee.Filter.or(
+  ee.Filter.lessThan({
+    leftField: sqDist_Str, 
+    rightField: sqDist_Str
+  }),
+  ee.Filter.and(
+    ee.Filter.equals({
+      leftField: sqDist_Str, 
+      rightField: sqDist_Str
+    }),
+    ee.Filter.lessThan({
+      leftField: "px_Col", 
+      rightField: "px_Col"
+    })),
+  ee.Filter.and(
+    ee.Filter.equals({
+      leftField: sqDist_Str, 
+      rightField: sqDist_Str
+    }),
+    ee.Filter.equals({
+      leftField: "px_Col", 
+      rightField: "px_Col"
+    }),
+    ee.Filter.lessThan({
+      leftField: "px_Row", 
+      rightField: "px_Row"
+    })));
+
+// Identify the pixel centroids without any adjacent centroid 
+//  ranking above them (i.e., local maxima along the medial axis, 
+//  one per plateau of equal squared distances).
+var identifyLocalMaxima = function(pxCtds) {
+  var localMaxima = ee.Join.inverted().apply({
+    primary: pxCtds, 
+    secondary: pxCtds, 
+    condition: ee.Filter.and(neighbor_Filter, outranking_Filter)
+  });
+  
+  return localMaxima;
+};
+
+// Suppress the pixel centroids within the spacing 
+//  (Euclidean distance in meters) of a higher-ranking kept centroid 
+//  of the same water basin by spatial joins: in each round, 
+//  the undecided centroids without any higher-ranking undecided one 
+//  within the spacing are kept, and the undecided centroids within 
+//  the spacing of them are dropped. This matches the greedy selection 
+//  from the highest ranking; the centroids still undecided after 
+//  the last round are dropped (so no two kept centroids are ever 
+//  closer than the spacing).
+var suppressNonMaxima = function(pxCtds, spacing) {
+  var withinSpacing_Filter = ee.Filter.and(
+    ee.Filter.equals({
+      leftField: basinID_Str, 
+      rightField: basinID_Str
+    }),
+    ee.Filter.withinDistance({
+      distance: spacing, 
+      leftField: ".geo", 
+      rightField: ".geo", 
+      maxError: 1
+    }));
+  
+  var kept_PxCtds = ee.FeatureCollection([]);
+  var undecided_PxCtds = pxCtds;
+  
+  for (var round = 0; round < suppression_Rounds; round++) {
+    var newlyKept = ee.Join.inverted().apply({
+      primary: undecided_PxCtds, 
+      secondary: undecided_PxCtds, 
+      condition: ee.Filter.and(withinSpacing_Filter, outranking_Filter)
+    });
+    
+    kept_PxCtds = kept_PxCtds.merge(newlyKept);
+    
+    // Drop the newly kept centroids (at a distance of 0) and 
+    //  their neighbors within the spacing.
+    undecided_PxCtds = ee.Join.inverted().apply({
+      primary: undecided_PxCtds, 
+      secondary: newlyKept, 
+      condition: withinSpacing_Filter
+    });
+  }
+  
+  return kept_PxCtds;
+};
+
+// Thin the pixel centroids to a minimum Euclidean spacing (in meters): 
+//  take the local maxima and the highest-ranking centroid in each 
+//  grid cell of the spacing (on the local UTM projection) as 
+//  the candidates, and keep them from the highest ranking 
+//  so that no two kept centroids are closer than the spacing.
+var thinPixelCentroids = function(pxCtds, spacing, utmProj) {
+  // Assign a grid cell to each centroid.
+  var pxCtds_withCells = pxCtds.map(function(pxCtd) {
+    var coords = pxCtd.geometry().transform(utmProj.crs, 1)
+      .coordinates();
+    
+    var cell = ee.Number(coords.get(0)).divide(spacing).floor().format()
+      .cat("_")
+      .cat(ee.Number(coords.get(1)).divide(spacing).floor().format());
+    
+    return pxCtd.set("grid_Cell", cell);
+  });
+  
+  // Pick the highest-ranking centroid in each cell.
+  var cellBests = ee.Join.inverted().apply({
+    primary: pxCtds_withCells, 
+    secondary: pxCtds_withCells, 
+    condition: ee.Filter.and(
+      ee.Filter.equals({
+        leftField: "grid_Cell", 
+        rightField: "grid_Cell"
+      }),
+      outranking_Filter)
+  });
+  
+  // Local maxima along the medial axis.
+  var localMaxima = identifyLocalMaxima(pxCtds_withCells);
+  
+  var candidates = localMaxima.merge(cellBests)
+    .distinct("pxCtd_ID");
+  
+  // Remove the temporary properties.
+  return suppressNonMaxima(candidates, spacing)
+    .map(function(pxCtd) {
+      return pxCtd.select(pxCtd.propertyNames().removeAll(
+        ["pxCtd_ID", "px_Col", "px_Row", skeletonID_Str, basinID_Str, 
+          "grid_Cell"]));
+    });
+};
+
+// Keys of the pixel centroids not yet left through all their segments
+//  ("remaining": the neighbors not yet visited of each centroid).
+var openCentroids = function(keys, remaining) {
+  return keys.map(function(key) {
+    return ee.Algorithms.If(ee.List(remaining.get(key)).size().gt(0), 
+      key, null);
+  }, true);
+};
+
+// Walk the segment graph of a skeleton into ordered chains of 
+//  pixel centroid IDs: each chain starts at an end or a junction 
+//  (a centroid of other than two neighbors; any centroid for a loop) 
+//  and follows the unvisited segments through the centroids of 
+//  two neighbors, so that each segment is walked exactly once.
+var walkSegments = function(segments_perSkeleton) {
+  // Neighbors of each pixel centroid.
+  var neighbors = ee.Dictionary(segments_perSkeleton
+    .iterate(function(segment, neighbors) {
+      segment = ee.Feature(segment);
+      neighbors = ee.Dictionary(neighbors);
+      
+      var startID = segment.get("start_ID");
+      var endID = segment.get("end_ID");
+      
+      return neighbors
+        .set(startID, ee.List(neighbors.get(startID, [])).add(endID))
+        .set(endID, ee.List(neighbors.get(endID, [])).add(startID));
+    }, ee.Dictionary({})));
+  
+  var allKeys = neighbors.keys();
+  
+  // Ends and junctions of the skeleton.
+  var endKeys = allKeys.map(function(key) {
+    return ee.Algorithms.If(ee.List(neighbors.get(key)).size().neq(2), 
+      key, null);
+  }, true);
+  
+  // Remove a walked segment from the remaining neighbors.
+  var removeSegment = function(remaining, fromKey, toKey) {
+    return remaining
+      .set(fromKey, ee.List(remaining.get(fromKey)).remove(toKey))
+      .set(toKey, ee.List(remaining.get(toKey)).remove(fromKey));
+  };
+  
+  // Walk one segment per step: extend the current chain through 
+  //  a centroid of two neighbors, OR close it and start a new chain 
+  //  from an open end or junction (OR any open centroid).
+  var walked = ee.Dictionary(ee.List.sequence(1, 
+    segments_perSkeleton.size().max(1))
+    .iterate(function(step, state) {
+      state = ee.Dictionary(state);
+      
+      var chains = ee.List(state.get("chains"));
+      var current = ee.List(state.get("current"));
+      var remaining = ee.Dictionary(state.get("remaining"));
+      
+      // Last centroid of the current chain ("" if none).
+      var lastKey = ee.String(ee.List([""]).cat(current).get(-1));
+      
+      var nextKeys = ee.List(remaining.get(lastKey, []));
+      
+      var extend = current.size().gt(0)
+        .and(ee.List(neighbors.get(lastKey, [])).size().eq(2))
+        .and(nextKeys.size().gt(0));
+      
+      var extended = ee.Dictionary({
+        chains: chains,
+        current: current.add(nextKeys.get(0)),
+        remaining: removeSegment(remaining, lastKey, nextKeys.get(0))
+      });
+      
+      var closedChains = ee.List(ee.Algorithms.If(current.size().gt(1), 
+        chains.add(current), chains));
+      
+      var openEnds = openCentroids(endKeys, remaining);
+      
+      var openKeys = ee.List(ee.Algorithms.If(openEnds.size().gt(0), 
+        openEnds, openCentroids(allKeys, remaining)));
+      
+      var startKey = openKeys.add("").get(0);
+      
+      var restarted = ee.Dictionary(ee.Algorithms.If(openKeys.size().gt(0), 
+        ee.Dictionary({
+          chains: closedChains,
+          current: ee.List([startKey, 
+            ee.List(remaining.get(startKey, [""])).get(0)]),
+          remaining: removeSegment(remaining, startKey, 
+            ee.List(remaining.get(startKey, [""])).get(0))
+        }), 
+        ee.Dictionary({
+          chains: closedChains,
+          current: ee.List([]),
+          remaining: remaining
+        })));
+      
+      return ee.Algorithms.If(extend, extended, restarted);
+    }, ee.Dictionary({
+      chains: ee.List([]),
+      current: ee.List([]),
+      remaining: neighbors
+    })));
+  
+  var lastChain = ee.List(walked.get("current"));
+  
+  return ee.List(ee.Algorithms.If(lastChain.size().gt(1), 
+    ee.List(walked.get("chains")).add(lastChain), 
+    walked.get("chains")));
+};
+
+// Build the polylines of each skeleton from its segments walked 
+//  into ordered chains of vertices, recording the coordinates and 
+//  squared distance of each vertex (one list per polyline, 
+//  in the order of the vertices).
+//  (A skeleton of a single pixel centroid has no segment.)
+var dissolveSkeletons = function(segments, pxCtds) {
+  var sameSkeleton_Filter = ee.Filter.equals({
+    leftField: skeletonID_Str, 
+    rightField: skeletonID_Str
+  });
+  
+  // Collect the segments and the pixel centroids of each skeleton.
+  var skeletons_withSegments = ee.Join.saveAll({
+    matchesKey: "segments"
+  }).apply({
+    primary: pxCtds.distinct(skeletonID_Str), 
+    secondary: segments, 
+    condition: sameSkeleton_Filter
+  });
+  
+  var skeletons_withVertices = ee.Join.saveAll({
+    matchesKey: "vertices"
+  }).apply({
+    primary: skeletons_withSegments, 
+    secondary: pxCtds, 
+    condition: sameSkeleton_Filter
+  });
+  
+  return skeletons_withVertices.map(function(skeleton) {
+    var segments_perSkeleton = ee.List(skeleton.get("segments"));
+    var vertices = ee.List(skeleton.get("vertices"));
+    
+    // Coordinates and squared distance of each vertex by its ID.
+    var vertexIDs = vertices.map(function(vertex) {
+      return ee.Feature(vertex).get("pxCtd_ID");
+    });
+    
+    var coords_byID = ee.Dictionary.fromLists(vertexIDs, 
+      vertices.map(function(vertex) {
+        return ee.Feature(vertex).geometry().coordinates();
+      }));
+    
+    var sqDists_byID = ee.Dictionary.fromLists(vertexIDs, 
+      vertices.map(function(vertex) {
+        return ee.Feature(vertex).get(sqDist_Str);
+      }));
+    
+    // Ordered vertices of each polyline.
+    var chains = walkSegments(segments_perSkeleton);
+    
+    var vertex_Coords = chains.map(function(chain) {
+      return coords_byID.values(chain);
+    });
+    
+    var vertex_sqDists = chains.map(function(chain) {
+      return sqDists_byID.values(chain);
+    });
+    
+    var polylines = ee.Geometry.MultiLineString(vertex_Coords);
+    
+    var all_sqDists = sqDists_byID.values();
+    
+    return ee.Feature(polylines).set({
+      skeleton_ID: skeleton.get(skeletonID_Str),
+      skeleton_Length: polylines.length(1),
+      segment_Count: segments_perSkeleton.size(),
+      polyline_Count: chains.size(),
+      vertex_Coords: vertex_Coords,
+      vertex_sqDists: vertex_sqDists,
+      min_sqDist: all_sqDists.reduce(ee.Reducer.min()),
+      mean_sqDist: all_sqDists.reduce(ee.Reducer.mean()),
+      max_sqDist: all_sqDists.reduce(ee.Reducer.max())
+    }).set(basinID_Str, skeleton.get(basinID_Str));
+  });
+};
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Medial axis running between ridges and valleys across the broad ATE.
+var medialAxis = ee.Image(wd_Input 
+  + "MedialAxis_SquaredDistance");
+
+// Selected water basins.
+var selectedBasins = ee.FeatureCollection(wd_Input 
+  + "Selected_Basins");
+
+
+/*******************************************************************************
+ * 1) Vectorize pixels along the medial axis running 
+ *    between ridges and valleys across the broad ATE
+ *    to their centroids by water basin. *
+ ******************************************************************************/
+
+var all_PxCtds = vectorizeMedialAxis_byBasin(
+  medialAxis, selectedBasins, prj_Info);
+
+
+/*******************************************************************************
+ * 2) Trace the medial-axis pixel centroids into a skeleton of 
+ *    connected polylines by water basin, with the squared distance 
+ *    to the nearest ridges / valleys at each vertex. *
+ ******************************************************************************/
+
+// Pixel centroids with their pixel indices and skeleton IDs.
+var skeleton_PxCtds = assignSkeletons_byBasin(medialAxis, selectedBasins, 
+  indexPixelCentroids(all_PxCtds, prj_Info), prj_Info);
+
+// Segments between adjacent pixel centroids.
+var skeleton_Segments = connectAdjacentCentroids(skeleton_PxCtds);
+
+// Connected polylines of each skeleton.
+var skeletons = dissolveSkeletons(skeleton_Segments, skeleton_PxCtds);
+
+
+/*******************************************************************************
+ * 3) Thin the medial-axis pixel centroids to a minimum Euclidean 
+ *    spacing, favoring the maxima of the distance to ridges / valleys. *
+ ******************************************************************************/
+
+// Pixel centroids for the centerline construction 
+//  (all the centroids if no spacing is configured).
+var medialAxis_PxCtds = centroid_Spacing > 0 
+  ? thinPixelCentroids(skeleton_PxCtds, centroid_Spacing, 
+    projections.localUTM(AOI, prj_Info.scale)) 
+  : all_PxCtds;
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  MedialAxis_PixelCentroids: {
+    collection: medialAxis_PxCtds
+  },
+  MedialAxis_Skeleton_Segments: {
+    collection: skeleton_Segments
+  },
+  MedialAxis_Skeletons: {
+    collection: skeletons
+  }
+};
+
+// Datasets checked by the step script.
+exports.selectedBasins = selectedBasins;
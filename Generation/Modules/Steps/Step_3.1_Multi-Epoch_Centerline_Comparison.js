@@ -0,0 +1,154 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of the multi-epoch centerline comparison of Step 3.1 (see 
+ *  the step script for the details), without any visualization or export, 
+ *  so that the step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Check the required configuration keys.
+config.validate(["epochs"]);
+
+// Computations of Step 3.1, without any visualization or export
+//  (please revise this to your GEE repository path).
+var step_3_1 = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/Step_3.1_Raw_Centerline_Generation");
+
+// Land cover epochs.
+var epochs = config.epochs;
+
+if (epochs.length < 2) {
+  throw new Error("At least two land cover epochs are required.");
+}
+
+// Property name of the medial-axis pixel centroid ID.
+var pairingID_Str = "MA_ID";
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Calculate the endpoint shifts between the paired centerlines 
+//  of two epochs.
+var compareEpochs = function(earlier_FC, later_FC, earlierName, laterName) {
+  // Join each earlier centerline with the later centerline 
+  //  constructed from the same medial-axis pixel centroid.
+  var paired_FC = ee.Join.inner("earlier", "later").apply({
+    primary: earlier_FC, 
+    secondary: later_FC, 
+    condition: ee.Filter.equals({
+      leftField: pairingID_Str, 
+      rightField: pairingID_Str
+    })
+  });
+  
+  return paired_FC.map(function(paired_Ftr) {
+    var earlier_Ftr = ee.Feature(paired_Ftr.get("earlier"));
+    var later_Ftr = ee.Feature(paired_Ftr.get("later"));
+    
+    // Horizontal shift (in meters) of an endpoint.
+    var calculateShift = function(longName, latName) {
+      var earlier_Pt = ee.Geometry.Point([
+        earlier_Ftr.get(longName), earlier_Ftr.get(latName)]);
+      
+      var later_Pt = ee.Geometry.Point([
+        later_Ftr.get(longName), later_Ftr.get(latName)]);
+      
+      return earlier_Pt.distance(later_Pt);
+    };
+    
+    // Elevational shift (in meters; positive if upslope) of an endpoint.
+    var calculateElvChange = function(elvName) {
+      return ee.Number(later_Ftr.get(elvName))
+        .subtract(earlier_Ftr.get(elvName));
+    };
+    
+    return ee.Feature(null, {
+      MA_ID: earlier_Ftr.get(pairingID_Str),
+      epoch_1: earlierName,
+      epoch_2: laterName,
+      CF_elv_1: earlier_Ftr.get("CF_elv"),
+      CF_elv_2: later_Ftr.get("CF_elv"),
+      CF_shift: calculateShift("CF_long", "CF_lat"),
+      CF_elvChange: calculateElvChange("CF_elv"),
+      nonF_elv_1: earlier_Ftr.get("nonF_elv"),
+      nonF_elv_2: later_Ftr.get("nonF_elv"),
+      nonF_shift: calculateShift("nonF_long", "nonF_lat"),
+      nonF_elvChange: calculateElvChange("nonF_elv")
+    });
+  });
+};
+
+
+/*******************************************************************************
+ * 1) Construct the raw transect centerlines of each land cover epoch 
+ *    from the same medial-axis pixel centroids. *
+ ******************************************************************************/
+
+var centerlines_perEpoch = epochs.map(function(epoch) {
+  return step_3_1.constructCenterlines_byLandCover(epoch.landCover)
+    .map(function(centerline_Ftr) {
+      return centerline_Ftr.set({
+        epoch: epoch.name,
+        landCover: epoch.landCover.source
+      });
+    });
+});
+
+
+/*******************************************************************************
+ * 2) Pair the centerlines of consecutive epochs constructed from 
+ *    the same medial-axis pixel centroid. *
+ * 
+ * 3) Calculate the horizontal and elevational shifts of 
+ *    the lower (closed-forest) and upper (non-forested) endpoints 
+ *    between the paired centerlines. *
+ ******************************************************************************/
+
+var endpointShifts_List = [];
+
+for (var i = 1; i < epochs.length; i++) {
+  endpointShifts_List.push(compareEpochs(
+    centerlines_perEpoch[i - 1], centerlines_perEpoch[i], 
+    epochs[i - 1].name, epochs[i].name));
+}
+
+var endpointShifts_FC = ee.FeatureCollection(endpointShifts_List)
+  .flatten();
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator: 
+//  the centerlines of each epoch and the paired table.
+exports.outputs = {
+  Centerline_Endpoint_Shifts: {
+    collection: endpointShifts_FC
+  }
+};
+
+epochs.forEach(function(epoch, index) {
+  exports.outputs["Raw_Centerlines_" + epoch.name] = {
+    collection: centerlines_perEpoch[index]
+  };
+});
+
+// Datasets checked by the step script.
+exports.centerlines_perEpoch = centerlines_perEpoch;
@@ -0,0 +1,743 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 3.1 (Raw Centerline Generation; see the step 
+ *  script for the details), without any visualization or export, so that 
+ *  the step script, the multi-epoch centerline comparison and the 
+ *  pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// DEM providers (please revise this to your GEE repository path).
+var dem = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/DEM_Providers");
+
+// Land cover adapters (please revise this to your GEE repository path).
+var landCoverAdapters = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Land_Cover_Adapters");
+
+// Surface exclusions (please revise this to your GEE repository path).
+var surfaceExclusions = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Surface_Exclusions");
+
+// Local projections (please revise this to your GEE repository path).
+var projections = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Projections");
+
+// Landform classes (please revise this to your GEE repository path).
+var landformClasses = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Landform_Classes");
+
+// GMBA mountain ranges (please revise this to your GEE repository path).
+var gmba = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/GMBA_Mountains");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "dem", "wd_Global", "wd_Input", 
+  "mountainRange.extent", "landCover.source", "landCover.years", 
+  "surfaceExclusions.enabled", "landforms.source", "landforms.preset",
+  "centerlines.path", "centerlines.endpoints.strategy"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Check the path of the centerlines.
+if (config.centerlines.path !== "chord" 
+  && config.centerlines.path !== "leastCost") {
+  throw new Error("Unknown centerline path: " + config.centerlines.path 
+    + " (expected \"chord\" or \"leastCost\").");
+}
+
+// Check the endpoint selection of the centerlines.
+var endpoints = config.centerlines.endpoints;
+
+if (endpoints.strategy !== "minmax" 
+  && endpoints.strategy !== "percentile" 
+  && endpoints.strategy !== "distance") {
+  throw new Error("Unknown endpoint strategy: " + endpoints.strategy 
+    + " (expected \"minmax\", \"percentile\" or \"distance\").");
+}
+
+if (endpoints.minPatchSize < 1 || endpoints.minPatchSize > 1024) {
+  throw new Error("The minimum patch size must be between 1 and 1024 "
+    + "pixels.");
+}
+
+// Landform classes of ridges (the same as in Step 2.1).
+var landformSets = landformClasses.resolveClassSets(config.landforms);
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Extract the landforms of ridges.
+var extractRidgeLandforms = function(landforms) {
+  var ridges = landformClasses.extractClasses(landforms, 
+    landformSets.ridges);
+  
+  return ridges;
+};
+
+// Create an image of elevation and pixel coordinates 
+//  for the closed-forest areas.
+var create_CF_elvCoords = function(elevation, CF_img, proj) {
+  // Get the elevation for each type of area.
+  var closedForestsElv = elevation.updateMask(CF_img)
+    .rename("CF_elv");
+  
+  // Determine and rename the pixel coordinates 
+  //  for each type of area.
+  var rawCoords = ee.Image.pixelLonLat()
+    .reproject(proj);
+  
+  var closedForestsCoords = rawCoords.updateMask(CF_img)
+    .select(["latitude", "longitude"], 
+      ["CF_lat", "CF_long"]);
+  
+  // Combine the elevation and pixel coordinates 
+  //  for each type of area.
+  var CF_elvCoords = closedForestsElv
+    .addBands(closedForestsCoords);
+  
+  return CF_elvCoords;
+};
+
+// Create an image of elevation and pixel coordinates 
+//  for the non-forested areas.
+var create_nonF_elvCoords = function(elevation, nonF_img, proj) {
+  // Get the elevation for each type of area.
+  var nonForestedElv = elevation.updateMask(nonF_img)
+    .rename("nonF_elv");
+  
+  // Determine and rename the pixel coordinates 
+  //  for each type of area.
+  var rawCoords = ee.Image.pixelLonLat()
+    .reproject(proj);
+  
+  var nonForestedCoords = rawCoords.updateMask(nonF_img)
+    .select(["latitude", "longitude"], 
+      ["nonF_lat", "nonF_long"]);
+  
+  // Combine the elevation and pixel coordinates for each type of area.
+  var nonF_elvCoords = nonForestedElv
+    .addBands(nonForestedCoords);
+  
+  return nonF_elvCoords;
+};
+
+// Generate a combined reducer for extracting the elevational extremes.
+var generateCombinedReducer = function(CF_elvCoords, nonF_elvCoords) {
+  // Create a reducer to extract the elevation and corresponding coordinates 
+  //  for the lowest pixel of closed forests.
+  var minReducer_CFelv_Coords = ee.Reducer.min({
+    numInputs: 3
+  }).setOutputs(CF_elvCoords.bandNames());
+  // Note: this reducer outputs the minimum value of its first input 
+  //  (i.e., "elevation"). 
+  //  As the "numInputs" (3) is greater than one 
+  //  (i.e., "elevation" followed by "coordinates"), 
+  //  it also outputs the corresponding values of the additional inputs 
+  //  (i.e., "coordinates").
+  
+  // Create a reducer to extract the elevation and corresponding coordinates 
+  //  for the highest non-forested pixel.
+  var maxReducer_nonFelv_Coords = ee.Reducer.max({
+    numInputs: 3
+  }).setOutputs(nonF_elvCoords.bandNames());
+  
+  // Combine the two reducers of elevational extremes.
+  //  (Note: the order of reducers here should be consistent with 
+  //  the order of the combined bands in the previously generated 
+  //  "CF_nonF_elvCoords" image.)
+  var combinedReducer = minReducer_CFelv_Coords.combine({
+    reducer2: maxReducer_nonFelv_Coords, 
+    sharedInputs: false
+  });
+  // (Note: if "sharedInputs" is false, 
+  //  the inputs of the combined reducer will be 
+  //  those of "reducer 1" followed by those of "reducer 2".)
+  
+  return combinedReducer;
+};
+
+// Remove the patches (8-connected) smaller than a minimum number of pixels.
+var removeSmallPatches = function(img, minPatchSize, proj) {
+  if (minPatchSize <= 1) {
+    return img;
+  }
+  
+  var patchSize = img.connectedPixelCount({
+    maxSize: minPatchSize, 
+    eightConnected: true
+  }).reproject(proj);
+  
+  return img.updateMask(patchSize.gte(minPatchSize));
+};
+
+// Score the elevation of each candidate endpoint within a buffer 
+//  (the lower the better) and stack the score before the elevation and 
+//  coordinates ("prefix": "CF" OR "nonF").
+var scoreCandidates = function(elvCoords, prefix, score) {
+  return score.rename(prefix + "_score")
+    .addBands(elvCoords);
+};
+
+// Create a function to select the two endpoints within each buffer 
+//  by the configured strategy, which sets the elevation and coordinates 
+//  of the lower ("CF_") and upper ("nonF_") endpoints.
+var createEndpointSelector = function(CF_elvCoords, nonF_elvCoords, 
+  endpoints, proj) {
+    // "minmax": the elevational extremes of all the buffers at once.
+    if (endpoints.strategy === "minmax") {
+      var CF_nonF_elvCoords = CF_elvCoords
+        .addBands(nonF_elvCoords)
+        .reproject(proj);
+      
+      var combinedReducer = generateCombinedReducer(
+        CF_elvCoords, nonF_elvCoords);
+      
+      return function(buffers) {
+        return CF_nonF_elvCoords.reduceRegions({
+          collection: buffers, 
+          reducer: combinedReducer, 
+          scale: proj.scale, 
+          crs: proj.crs
+        });
+      };
+    }
+    
+    var CF_elv = CF_elvCoords.select("CF_elv");
+    var nonF_elv = nonF_elvCoords.select("nonF_elv");
+    
+    // Reducer of the best (lowest) score with the corresponding 
+    //  elevation and coordinates of each type of area.
+    var minScoreReducer = function(prefix) {
+      return ee.Reducer.min({
+        numInputs: 4
+      }).setOutputs([prefix + "_score", prefix + "_elv", 
+        prefix + "_lat", prefix + "_long"]);
+    };
+    
+    var scoreReducer = minScoreReducer("CF").combine({
+      reducer2: minScoreReducer("nonF"), 
+      sharedInputs: false
+    });
+    
+    // Reduce an image within a buffer.
+    var reduceBuffer = function(img, reducer, bufferGeom) {
+      return img.reduceRegion({
+        reducer: reducer, 
+        geometry: bufferGeom, 
+        scale: proj.scale, 
+        crs: proj.crs, 
+        maxPixels: 1e13
+      });
+    };
+    
+    // Scores of the candidate endpoints within a buffer.
+    var scoreBuffer;
+    
+    if (endpoints.strategy === "percentile") {
+      // Distance of the elevation to its percentile within the buffer.
+      var percentileDistance = function(elv, percentile, bufferGeom) {
+        var target = reduceBuffer(elv, 
+          ee.Reducer.percentile([percentile]), bufferGeom)
+          .values().get(0);
+        
+        // (Note: the target is null without any candidate pixel, 
+        //  in which case the buffer is dropped afterwards.)
+        target = ee.Number(ee.Algorithms.If(target, target, 0));
+        
+        return elv.subtract(target).abs();
+      };
+      
+      scoreBuffer = function(buffer) {
+        var bufferGeom = buffer.geometry();
+        
+        return [
+          percentileDistance(CF_elv, endpoints.percentiles[0], 
+            bufferGeom), 
+          percentileDistance(nonF_elv, endpoints.percentiles[1], 
+            bufferGeom)];
+      };
+    } else {
+      scoreBuffer = function(buffer) {
+        // Distance (in meters) to the medial-axis point 
+        //  (the center of the buffer).
+        var distance = ee.FeatureCollection([
+          ee.Feature(buffer.geometry().centroid(1))])
+          .distance(ee.Number(buffer.get("buffer_Radius"))
+            .add(proj.scale))
+          .reproject(proj);
+        
+        var penalty = distance.multiply(endpoints.distanceWeight);
+        
+        return [
+          CF_elv.add(penalty), 
+          nonF_elv.multiply(-1).add(penalty)];
+      };
+    }
+    
+    return function(buffers) {
+      return buffers.map(function(buffer) {
+        var bufferGeom = buffer.geometry();
+        
+        var scores = scoreBuffer(buffer);
+        
+        var scoredElvCoords = scoreCandidates(CF_elvCoords, "CF", scores[0])
+          .addBands(scoreCandidates(nonF_elvCoords, "nonF", scores[1]))
+          .reproject(proj);
+        
+        return buffer.set(reduceBuffer(scoredElvCoords, scoreReducer, 
+          bufferGeom));
+      });
+    };
+  };
+
+// Cost of crossing each pixel for the least-cost path of a centerline:
+//  the horizontal distance per unit of elevation gain 
+//  (1 / tangent of the slope), capped at the minimum slope.
+var createSlopeCost = function(elevation, minSlope, proj) {
+  var tanSlope = ee.Terrain.slope(elevation)
+    .multiply(Math.PI / 180)
+    .tan();
+  
+  return tanSlope.max(Math.tan(minSlope * Math.PI / 180))
+    .pow(-1)
+    .rename("cost")
+    .reproject(proj);
+};
+
+// Key of a pixel in the descent steps.
+var coordsKey = function(coords) {
+  coords = ee.List(coords);
+  
+  return ee.Number(coords.get(0)).format()
+    .cat(",")
+    .cat(ee.Number(coords.get(1)).format());
+};
+
+// Descent steps of the least-cost paths in a basin: the cumulative cost 
+//  from the lower endpoints of all the selected buffers is computed once, 
+//  and each pixel within the buffers steps down to its neighboring pixel 
+//  (8-neighborhood) of the minimum cumulative cost.
+//  (A dictionary from the coordinates of each pixel to those of 
+//  its next pixel; each lower endpoint is its own next pixel.)
+var createDescentSteps = function(selectedBuffers, cost, proj) {
+  // Lower endpoints of the selected buffers.
+  var lowerEnds = selectedBuffers.map(function(buffer) {
+    return ee.Feature(ee.Geometry.Point(
+      [buffer.get("CF_long"), buffer.get("CF_lat")]));
+  });
+  
+  var source = lowerEnds
+    .distance(proj.scale)
+    .lte(proj.scale / 2)
+    .unmask(0)
+    .reproject(proj);
+  
+  // Cumulative cost from the nearest lower endpoint 
+  //  (within the largest buffer diameter).
+  var maxDistance = ee.Number(selectedBuffers.aggregate_max("buffer_Radius"))
+    .multiply(2);
+  
+  var fromLower = cost.cumulativeCost({
+    source: source, 
+    maxDistance: maxDistance
+  }).reproject(proj);
+  
+  // Coordinates of the next pixel of the descent from each pixel.
+  var pixelCoords = ee.Image.pixelLonLat()
+    .reproject(proj);
+  
+  var nextCoords = fromLower.addBands(pixelCoords)
+    .reduceNeighborhood({
+      reducer: ee.Reducer.min({
+        numInputs: 3
+      }), 
+      kernel: ee.Kernel.square({
+        radius: 1, 
+        units: "pixels"
+      })
+    })
+    .rename(["next_Cost", "next_Long", "next_Lat"])
+    .reproject(proj);
+  
+  // Collect the descent steps of the pixels within the buffers 
+  //  (a uniform mask keeps the lists aligned).
+  var steps_Img = pixelCoords.addBands(nextCoords);
+  
+  var steps = steps_Img.updateMask(steps_Img.mask()
+    .reduce(ee.Reducer.min()))
+    .reduceRegion({
+      reducer: ee.Reducer.toList(), 
+      geometry: selectedBuffers.geometry(), 
+      scale: proj.scale, 
+      crs: proj.crs, 
+      maxPixels: 1e13
+    });
+  
+  var pixelList = ee.List(steps.get("longitude"))
+    .zip(steps.get("latitude"));
+  
+  var nextList = ee.List(steps.get("next_Long"))
+    .zip(steps.get("next_Lat"));
+  
+  return ee.Dictionary.fromLists(
+    pixelList.map(coordsKey), nextList);
+};
+
+// Trace the least-cost path of a chord between two endpoints: 
+//  walk the descent steps of its basin from the upper endpoint 
+//  until a lower endpoint is reached.
+//  (Falls back to the chord if the walk does not end at the lower endpoint 
+//  of the chord, e.g., at that of another buffer or beyond the buffers.)
+var traceLeastCostPath = function(chord, maxDistance, nextPixels, proj) {
+  var chordEnds = ee.List(chord.coordinates());
+  
+  var lowerEnd = ee.List(chordEnds.get(0));
+  var upperEnd = ee.List(chordEnds.get(1));
+  
+  var maxSteps = ee.Number(maxDistance).divide(proj.scale)
+    .multiply(2)
+    .ceil();
+  
+  var reversedPath = ee.List(ee.List.sequence(1, maxSteps)
+    .iterate(function(step, path) {
+      path = ee.List(path);
+      
+      var current = ee.List(path.get(-1));
+      var next = ee.List(nextPixels.get(coordsKey(current), current));
+      
+      return ee.Algorithms.If(next.equals(current), 
+        path, path.add(next));
+    }, ee.List([upperEnd])));
+  
+  return ee.Geometry(ee.Algorithms.If(
+    ee.List(reversedPath.get(-1)).equals(lowerEnd), 
+    ee.Geometry.LineString(reversedPath.reverse()), 
+    chord));
+};
+
+// Initial great-circle bearing (in degrees clockwise from north, 0 - 360) 
+//  from the lower to the upper endpoint.
+var calculateBearing = function(lower_Coords, upper_Coords) {
+  var toRadians = function(degrees) {
+    return ee.Number(degrees).multiply(Math.PI / 180);
+  };
+  
+  var lat1 = toRadians(lower_Coords[1]);
+  var lat2 = toRadians(upper_Coords[1]);
+  var dLong = toRadians(upper_Coords[0])
+    .subtract(toRadians(lower_Coords[0]));
+  
+  var y = dLong.sin().multiply(lat2.cos());
+  var x = lat1.cos().multiply(lat2.sin())
+    .subtract(lat1.sin().multiply(lat2.cos()).multiply(dLong.cos()));
+  
+  return y.atan2(x)
+    .multiply(180 / Math.PI)
+    .add(360)
+    .mod(360);
+};
+
+// Construct transect centerlines by basin.
+//  ("selectEndpoints": the function setting the two endpoints of 
+//  each buffer; "pathCost": the cost image of the least-cost path, 
+//  null for straight chords.)
+var constructTransectCLs_byBasin = function(allBasins, allPxCtds, 
+  selectEndpoints, proj, demName, pathCost) {
+    var endpointStrategy = endpoints.strategy;
+    
+    var allTransectCLs = allBasins.map(function(basin) {
+      // Get the geometry of each basin.
+      var basinGeom = basin.geometry();
+      
+      // Get the medial-axis pixel centroids in each basin.
+      var pxCtds_perBasin = allPxCtds.filterBounds(basinGeom);
+      
+      // Buffer each selected pixel centroid
+      //  by the corresponding distance to 
+      //  the nearest ridges / valleys.
+      var pxCtd_Buffers = pxCtds_perBasin.map(function(pxCtd) {
+        // Extract the square distance.
+        var sqDist = ee.Number(pxCtd.get("medialAxis_sqDist_inPixels"));
+        
+        // Calculate the buffer distance in meters 
+        //  from the ground size of the pixel at the centroid's latitude.
+        var latitude = pxCtd.geometry().coordinates().get(1);
+        
+        var bufferDist = sqDist.sqrt()
+          .multiply(projections.pixelGroundSize(latitude, proj));
+        
+        // Record the ID of the pixel centroid for pairing 
+        //  the centerlines constructed from the same medial axis, 
+        //  and the buffer radius for auditing.
+        return pxCtd.buffer(bufferDist)
+          .set({
+            MA_ID: pxCtd.id(),
+            buffer_Radius: bufferDist
+          });
+      });
+      
+      // Extract the elevations and corresponding pixel coordinates 
+      //  of the two endpoints within each buffer of 
+      //  the selected medial-axis pixel centroids.
+      var elvMinMax_perBuffer = selectEndpoints(pxCtd_Buffers);
+      
+      // Select buffers with both the minimum closed-forest elevation and 
+      //  the maximum non-forested elevation.
+      //  Also, the latter one should be greater than the former one.
+      var selectedBuffers = elvMinMax_perBuffer.filter(ee.Filter.and(
+        ee.Filter.notNull(["nonF_elv", "CF_elv"]),
+        ee.Filter.greaterThan({
+          leftField: "nonF_elv", 
+          rightField: "CF_elv"
+        })));
+      
+      // Descent steps of the least-cost paths in each basin 
+      //  (if configured).
+      var nextPixels = pathCost === null ? null 
+        : createDescentSteps(selectedBuffers, pathCost, proj);
+      
+      // Construct an elevational-transect centerline 
+      //  between the upper and lower endpoints 
+      //  in each selected buffer.
+      var transectCLs_perBasin = selectedBuffers.map(function(buffer) {
+        // Extract the coordinates of the two endpoints.
+        var CF_long = buffer.get("CF_long");
+        var CF_lat = buffer.get("CF_lat");
+        
+        var nonF_long = buffer.get("nonF_long");
+        var nonF_lat = buffer.get("nonF_lat");
+        
+        // Construct a LineString between the two endpoints.
+        var chord = ee.Geometry.LineString(
+          [[CF_long, CF_lat],
+           [nonF_long, nonF_lat]]);
+        
+        // Follow the least-cost path between the two endpoints 
+        //  (if configured).
+        var lineString = pathCost === null ? chord 
+          : traceLeastCostPath(chord, 
+            ee.Number(buffer.get("buffer_Radius")).multiply(2), 
+            nextPixels, proj);
+        
+        // Get the length of the constructed LineString 
+        //  and of the chord between the two endpoints.
+        var CL_length = lineString.length();
+        var chord_Length = chord.length();
+        
+        // Calculate the elevational range.
+        var nonF_elv = buffer.get("nonF_elv");
+        var CF_elv = buffer.get("CF_elv");
+        
+        var elvRange = ee.Number(nonF_elv).subtract(CF_elv);
+        
+        // Create a feature with the LineString length, the chord length, 
+        //  their ratio (sinuosity), the elevational range, 
+        //  the bearing from the lower to the upper endpoint, 
+        //  the DEM provider, and the endpoint strategy.
+        var CL = ee.Feature(lineString).set({
+          CL_length: CL_length,
+          chord_Length: chord_Length,
+          sinuosity: CL_length.divide(chord_Length),
+          elvRange: elvRange,
+          CL_bearing: calculateBearing([CF_long, CF_lat], 
+            [nonF_long, nonF_lat]),
+          DEM: demName,
+          endpoint_Strategy: endpointStrategy
+        });
+        
+        // Copy the properties of interest from the buffer feature.
+        var CL_propertiesCopied = CL.copyProperties({
+          source: buffer, 
+          exclude: ["count", "medialAxis_sqDist_inPixels", 
+            "CF_score", "nonF_score"]
+        });
+        
+        return CL_propertiesCopied;
+      });
+      
+      // Return the constructed centerlines of each basin.
+      return transectCLs_perBasin;
+    });
+    
+    // Flatten the obtained FeatureCollection.
+    var allTransectCLs_flattened = allTransectCLs.flatten();
+    
+    // Add a random column as IDs.
+    return allTransectCLs_flattened.randomColumn("CL_ID");
+  };
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Elevation of the configured DEM provider in the AOI.
+var DEMelv = dem.loadElevation(config.dem, AOI, prj_Info);
+
+// Slope cost of the least-cost centerline paths 
+//  (null for straight chords).
+var slopeCost = config.centerlines.path === "leastCost" 
+  ? createSlopeCost(DEMelv, config.centerlines.minSlope, prj_Info) 
+  : null;
+
+// "Broad" alpine treeline ecotones at 30 m.
+var broad_ATE = ee.Image(wd_Input
+  + "Broad_Alpine_Treeline_Ecotones");
+
+// Selected water basins.
+var selectedBasins = ee.FeatureCollection(wd_Input 
+  + "Selected_Basins");
+
+// Vectorized medial-axis pixel centroids.
+var medialAxis_PxCtds = ee.FeatureCollection(wd_Input 
+  + "MedialAxis_PixelCentroids");
+
+// Landforms of the configured source within the broad ATE.
+var LF_noInvaid_ATE = landformClasses.loadLandforms(config.landforms, 
+  config.dem, AOI, prj_Info)
+  .updateMask(broad_ATE);
+
+// Glaciers, persistent snow and bare rock to be excluded 
+//  (of the configured land cover, shared by all the epochs; 
+//  none unless enabled in the configuration).
+var excluded_Surfaces = surfaceExclusions.extractSurfaces(
+  config.surfaceExclusions, config.landCover, config.wd_Global, 
+  AOI, prj_Info);
+
+var retained_Surfaces = surfaceExclusions.retainedMask(excluded_Surfaces);
+
+
+/*******************************************************************************
+ * Major Operations *
+ ******************************************************************************/
+
+// Extract ridges and non-ridge landforms within the broad ATE.
+var ridges = extractRidgeLandforms(LF_noInvaid_ATE);
+
+var nonRidges = ridges.not();
+
+// Construct the transect centerlines based on the closed forests and 
+//  non-forested areas of a land cover source and period.
+var constructCenterlines_byLandCover = function(landCover) {
+  // Extract and reproject the closed forests in ALL the years.
+  var CF_inAllYrs = landCoverAdapters.extractClosedForests_inAllYears(
+    landCover, AOI, prj_Info);
+  
+  // Extract and reproject the non-forested areas in ALL the years.
+  var nonF_inAllYrs = landCoverAdapters.extractNonForested_inAllYears(
+    landCover, AOI, prj_Info);
+  
+  // Closed forests of the non-ridge landforms 
+  //  in patches of the minimum size.
+  var CF_nonRidges = removeSmallPatches(CF_inAllYrs.updateMask(nonRidges)
+    .selfMask(), endpoints.minPatchSize, prj_Info);
+  
+  // Non-forested areas of the ridge landforms 
+  //  not on the excluded surfaces, in patches of the minimum size.
+  var nonF_ridges = removeSmallPatches(nonF_inAllYrs.updateMask(ridges)
+    .updateMask(retained_Surfaces)
+    .selfMask(), endpoints.minPatchSize, prj_Info);
+  
+  // Create the images of elevation and pixel coordinates 
+  //  for the closed-forest and non-forested areas, respectively.
+  var CF_elvCoords_Img = create_CF_elvCoords(
+    DEMelv, CF_nonRidges, prj_Info);
+  
+  var nonF_elvCoords_Img = create_nonF_elvCoords(
+    DEMelv, nonF_ridges, prj_Info);
+  
+  // Select the two endpoints within each buffer 
+  //  by the configured strategy.
+  var endpointSelector = createEndpointSelector(
+    CF_elvCoords_Img, nonF_elvCoords_Img, endpoints, prj_Info);
+  
+  // Transect centerline construction.
+  return constructTransectCLs_byBasin(
+    selectedBasins, medialAxis_PxCtds, 
+    endpointSelector, prj_Info, config.dem, slopeCost);
+};
+
+// Construct the transect centerlines based on the configured land cover
+//  (2015 - 2019 by default).
+var transectCLs = constructCenterlines_byLandCover(config.landCover);
+
+
+/*******************************************************************************
+ * Summarize the area of the non-forested ridges (the candidates of 
+ *  the upper endpoints) excluded by each surface within 
+ *  each GMBA mountain range. *
+ ******************************************************************************/
+
+// Non-forested ridges of the configured land cover within the broad ATE
+//  (before the exclusion and the removal of small patches).
+var nonF_RidgeCandidates = landCoverAdapters.extractNonForested_inAllYears(
+  config.landCover, AOI, prj_Info)
+  .and(ridges)
+  .unmask(0);
+
+// GMBA mountain ranges within the AOI.
+var ranges = gmba.loadInventory(config.wd_Global, 
+  config.mountainRange.extent)
+  .filterBounds(AOI)
+  .map(function(range) {
+    return range.intersection(AOI, 1);
+  });
+
+// Area excluded by each surface per mountain range.
+var exclusion_Summary = surfaceExclusions.summarizeByRange(
+  ee.Image.cat([
+    nonF_RidgeCandidates.rename("nonForestedRidge_Area"),
+    nonF_RidgeCandidates.and(retained_Surfaces.not())
+      .rename("excluded_Surface"),
+    nonF_RidgeCandidates.and(retained_Surfaces)
+      .rename("retained_Area"),
+    surfaceExclusions.excludedAreas(nonF_RidgeCandidates, 
+      excluded_Surfaces)
+  ]), excluded_Surfaces, ranges, [gmba.idField, gmba.nameField], prj_Info);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Raw_Centerlines: {
+    collection: transectCLs
+  },
+  Raw_Centerline_Exclusion_Summary: {
+    collection: exclusion_Summary
+  }
+};
+
+// Function for the multi-epoch centerline construction.
+exports.constructCenterlines_byLandCover = constructCenterlines_byLandCover;
+
+// Datasets checked by the step script.
+exports.broad_ATE = broad_ATE;
+exports.selectedBasins = selectedBasins;
+exports.medialAxis_PxCtds = medialAxis_PxCtds;
@@ -0,0 +1,156 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 3.2 (Basin ID Extraction; see the step script for 
+ *  the details), without any visualization or export, so that the step 
+ *  script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Landscape units (please revise this to your GEE repository path).
+var landscapeUnits = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Landscape_Units");
+
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Input", "landscapeUnits.type"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Spatial Filter as geometries that intersect.
+var intersect_Filter = ee.Filter.intersects({
+  leftField: ".geo",
+  rightField: ".geo"
+});
+
+// Non-spatial Filter as Features that have the same centerline IDs.
+var shareID_Filter = ee.Filter.equals({
+  leftField: "CL_ID",
+  rightField: "CL_ID"
+});
+
+// Save-first Join (keyed on the basin or landscape unit ID).
+var IDname_Str = landscapeUnits.idField(config.landscapeUnits);
+
+var saveFirst_Join = ee.Join.saveFirst({
+  matchKey: IDname_Str
+});
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Raw transect centerlines.
+var centerlines_FC = ee.FeatureCollection(wd_Input
+  + "Raw_Centerlines");
+
+// Selected water basins.
+var basins_FC = ee.FeatureCollection(wd_Input 
+  + "Selected_Basins");
+
+
+/*******************************************************************************
+ * 1) Calculate the geometric centroid of each 
+ *    elevational-transect centerline. *
+ ******************************************************************************/
+
+var centroids_FC = centerlines_FC.map(function(centerline_Ftr) {
+  var centroid_Ftr = centerline_Ftr.centroid();
+  
+  return centroid_Ftr;
+});
+
+
+/*******************************************************************************
+ * 2) Extract the ID of the basin intersected by each centroid of 
+ *    transect centerlines and assign the extracted ID to 
+ *    the corresponding centroid. *
+ ******************************************************************************/
+
+// Join each centerline centroid with the basin that it intersects.
+var centroids_Basins_FC = saveFirst_Join.apply(
+  centroids_FC, basins_FC, intersect_Filter
+);
+
+// Extract and assign the basin ID from each joined basin
+//  to the corresponding centroid.
+var centroids_withBasinIDs_FC = centroids_Basins_FC.map(
+  function(joined_Ftr) {
+    
+    // Determine the joined basin.
+    var joinedBasin_Ftr = joined_Ftr.get(IDname_Str);
+    
+    // Get the basin ID from the joined basin.
+    var basinID_Num = ee.Feature(joinedBasin_Ftr)
+      .get(IDname_Str);
+    
+    // Replace the property of the joined basin with its basin ID.
+    var centroid_withBasinID_Ftr = joined_Ftr
+      .set(IDname_Str, basinID_Num);
+    
+    return centroid_withBasinID_Ftr;
+  }
+);
+
+
+/*******************************************************************************
+ * 3) Assign the corresponding basin ID to each transect centerline. *
+ ******************************************************************************/
+
+// Join each transect centerline with its geometric centroid.
+var centerlines_Centroids_FC = saveFirst_Join.apply(
+  centerlines_FC, centroids_withBasinIDs_FC, shareID_Filter
+);
+
+// Extract and assign the basin ID from each joined centroid
+//  to the corresponding centerline.
+var centerlines_withBasinIDs_FC = centerlines_Centroids_FC.map(
+  function(joined_Ftr) {
+    
+    // Determine the joined centroid.
+    var joinedCentroid_Ftr = joined_Ftr.get(IDname_Str);
+    
+    // Get the basin ID from the joined centroid.
+    var basinID_Num = ee.Feature(joinedCentroid_Ftr)
+      .get(IDname_Str);
+    
+    // Replace the property of the joined centroid with its basin ID.
+    var centerline_withBasinID_Ftr = joined_Ftr
+      .set(IDname_Str, basinID_Num);
+    
+    return centerline_withBasinID_Ftr;
+  }
+);
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  RawCenterlines_withBasinIDs: {
+    collection: centerlines_withBasinIDs_FC
+  }
+};
+
+// Datasets checked by the step script.
+exports.centerlines_FC = centerlines_FC;
+exports.basins_FC = basins_FC;
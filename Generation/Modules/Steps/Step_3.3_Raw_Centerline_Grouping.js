@@ -0,0 +1,168 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 3.3 (Raw Centerline Grouping; see the step script 
+ *  for the details), without any visualization or export, so that the 
+ *  step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Landscape units (please revise this to your GEE repository path).
+var landscapeUnits = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Landscape_Units");
+
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Input", "thresholds.grouping_Dist",
+  "landscapeUnits.type"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Distance for grouping raw transect centerlines.
+var groupingDistance_Num = config.thresholds.grouping_Dist;
+
+// Property name of the basin (landscape unit) ID.
+var IDname_Str = landscapeUnits.idField(config.landscapeUnits);
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Raw transect centerlines with basin IDs.
+var centerlines_FC = ee.FeatureCollection(wd_Input
+  + "RawCenterlines_withBasinIDs");
+
+
+/*******************************************************************************
+ * 1) Segment the mid-quarter around the centroid of 
+ *    each transect centerline. *
+ ******************************************************************************/
+
+var segments_FC = centerlines_FC.map(
+  function(centerline_Ftr) {
+    
+    // Calculate the radius of the segmenting circle.
+    var centerlineLength_Num = centerline_Ftr.get("CL_length");
+    
+    var segmentingRadius_Num = ee.Number(centerlineLength_Num)
+      .divide(8);
+    
+    // Segment the mid-quarter around the centroid.
+    var segmentingCircle_Ftr = centerline_Ftr.centroid()
+      .buffer(segmentingRadius_Num);
+    
+    var segment_Ftr = centerline_Ftr.intersection(segmentingCircle_Ftr);
+    
+    return segment_Ftr;
+  }
+);
+
+
+/*******************************************************************************
+ * 2) Buffer each centerline segment. *
+ ******************************************************************************/
+
+var segmentBuffers_FC = segments_FC.map(function(segment_Ftr) {
+  return segment_Ftr.buffer(groupingDistance_Num);
+});
+
+
+/*******************************************************************************
+ * 3) Merge the centerline segment buffers within each basin 
+ *    into a single MultiPolygon. *
+ ******************************************************************************/
+
+// Create a non-duplicate List of basin IDs.
+var basinIDs_List = segmentBuffers_FC.aggregate_array(IDname_Str)
+  .distinct();
+
+// Merge the centerline segment buffers within each basin.
+var mergedBuffers_FC = ee.FeatureCollection(
+  basinIDs_List.map(function(basinID_Num) {
+    
+    // Identify the buffers within each basin.
+    var buffers_perBasin_FC = segmentBuffers_FC.filter(
+      ee.Filter.eq(IDname_Str, basinID_Num)
+    );
+    
+    // Merge the identified buffers.
+    var merged_perBasin_FC = buffers_perBasin_FC.union();
+    
+    // Assign the corresponding basin ID to each merged Feature.
+    var merged_perBasin_Ftr = merged_perBasin_FC.first()
+      .set(IDname_Str, basinID_Num);
+    
+    return merged_perBasin_Ftr;
+  })
+);
+
+
+/*******************************************************************************
+ * 4) Convert each basin's MultiPolygon into a set of 
+ *    individual Polygons. *
+ ******************************************************************************/
+
+var groupedBuffers_FC = mergedBuffers_FC.map(
+  function(merged_perBasin_Ftr) {
+    
+    // Get the basin ID of each merged buffer.
+    var basinID_Num = merged_perBasin_Ftr.get(IDname_Str);
+    
+    // Obtain the List of coordinates for each MultiPolygon.
+    var coordinates_List = merged_perBasin_Ftr.geometry()
+      .coordinates();
+    
+    // Construct a set of individual Polygons based on 
+    //  the obtained coordinate List.
+    var individualPolygons_List = coordinates_List.map(function(coordinates) {
+      
+      // Create a Polygon Feature for each element of the coordinate List.
+      var individualPolygon_Geom = ee.Geometry.Polygon(coordinates);
+      
+      var individualPolygon_Ftr = ee.Feature(individualPolygon_Geom);
+      
+      // Add the basin ID.
+      individualPolygon_Ftr = individualPolygon_Ftr
+        .set(IDname_Str, basinID_Num);
+      
+      return individualPolygon_Ftr;
+    });
+    
+    return ee.FeatureCollection(individualPolygons_List);
+  }
+).flatten();
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Raw_Centerline_Segments: {
+    collection: segments_FC
+  },
+  Grouped_Centerline_Segment_Buffers: {
+    collection: groupedBuffers_FC
+  }
+};
+
+// Datasets checked by the step script.
+exports.centerlines_FC = centerlines_FC;
@@ -0,0 +1,253 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 3.4 (Centerline Profile Sampling; see the step 
+ *  script for the details), without any visualization or export, so that 
+ *  the step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// DEM providers (please revise this to your GEE repository path).
+var dem = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/DEM_Providers");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "dem", "wd_Input",
+  "profiles.spacing"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Spacing of the elevation samples along each centerline (in meters).
+var spacing_Num = config.profiles.spacing;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Sample the elevation at a fixed spacing along a centerline
+//  (at least three samples: both endpoints and one in between).
+//  For a centerline shorter than twice the spacing, the step is reduced 
+//  to half its length (flagged by "stepReduced").
+var sampleProfile = function(centerline_Ftr, elevation_Img, spacing, proj) {
+  var line_Geom = centerline_Ftr.geometry();
+  
+  var length_Num = line_Geom.length(1);
+  
+  // (Note: the step is kept positive for a degenerate line of zero length, 
+  //  which then has a single sample.)
+  var step_Num = ee.Number(spacing).min(length_Num.divide(2))
+    .max(1e-3);
+  
+  // Distances of the samples between the two endpoints.
+  var cutDistances_List = ee.List.sequence(step_Num, length_Num, step_Num)
+    .filter(ee.Filter.lt("item", length_Num));
+  
+  // Cut the centerline at the sample distances and
+  //  collect the first vertex of each piece plus the upper endpoint.
+  var pieces_List = line_Geom.cutLines(cutDistances_List, 1)
+    .geometries();
+  
+  var vertices_List = pieces_List.map(function(piece) {
+    return ee.List(ee.Geometry(piece).coordinates()).get(0);
+  }).add(ee.List(ee.Geometry(pieces_List.get(-1)).coordinates()).get(-1));
+  
+  var distances_List = ee.List([0]).cat(cutDistances_List)
+    .add(length_Num);
+  
+  var samples_FC = ee.FeatureCollection(vertices_List.zip(distances_List)
+    .map(function(pair) {
+      pair = ee.List(pair);
+      
+      return ee.Feature(ee.Geometry.Point(pair.get(0)), {
+        distance: pair.get(1)
+      });
+    }));
+  
+  // Extract the elevation at each sample.
+  var sampledElv_FC = elevation_Img.reduceRegions({
+    collection: samples_FC,
+    reducer: ee.Reducer.first().setOutputs(["elevation"]),
+    scale: proj.scale,
+    crs: proj.crs
+  }).filter(ee.Filter.notNull(["elevation"]));
+  
+  return {
+    distances: sampledElv_FC.aggregate_array("distance"),
+    elevations: sampledElv_FC.aggregate_array("elevation"),
+    stepReduced: ee.Number(spacing).gt(length_Num.divide(2))
+  };
+};
+
+// Derive the shape metrics of an elevation profile 
+//  (of at least three samples).
+var computeProfileMetrics = function(distances_List, elevations_List) {
+  var distances_Arr = ee.Array(distances_List);
+  var elevations_Arr = ee.Array(elevations_List);
+  
+  var sampleCount_Num = distances_List.size();
+  
+  // Horizontal and vertical differences between consecutive samples.
+  var distDiffs_Arr = distances_Arr.slice(0, 1)
+    .subtract(distances_Arr.slice(0, 0, -1));
+  
+  var elvDiffs_Arr = elevations_Arr.slice(0, 1)
+    .subtract(elevations_Arr.slice(0, 0, -1));
+  
+  // Maximum local slope (in degrees).
+  var maxSlope_Num = elvDiffs_Arr.abs()
+    .divide(distDiffs_Arr)
+    .atan()
+    .multiply(180 / Math.PI)
+    .reduce(ee.Reducer.max(), [0])
+    .get([0]);
+  
+  // Number of reversals: consecutive steps in opposite directions
+  //  (flat steps are dropped before pairing, so that an ascent 
+  //  followed by a flat and a descent is a reversal; two trailing zeros 
+  //  keep the pairs non-empty without adding any reversal).
+  var elvDiffSigns_Arr = elvDiffs_Arr.signum();
+  
+  var signs_Arr = ee.Array.cat([
+    elvDiffSigns_Arr.mask(elvDiffSigns_Arr.neq(0)), 
+    ee.Array([0, 0])], 0);
+  
+  var reversals_Num = signs_Arr.slice(0, 1)
+    .multiply(signs_Arr.slice(0, 0, -1))
+    .lt(0)
+    .reduce(ee.Reducer.sum(), [0])
+    .get([0]);
+  
+  // Concavity: mean height of the chord (between the two endpoints)
+  //  above the profile, relative to the elevational range
+  //  (positive: concave; negative: convex).
+  var firstElv_Num = ee.Number(elevations_List.get(0));
+  var lastElv_Num = ee.Number(elevations_List.get(-1));
+  var length_Num = ee.Number(distances_List.get(-1));
+  
+  var elvRange_Num = lastElv_Num.subtract(firstElv_Num);
+  
+  var chordElv_Arr = distances_Arr.divide(length_Num)
+    .multiply(elvRange_Num)
+    .add(firstElv_Num);
+  
+  var concavity_Num = chordElv_Arr.subtract(elevations_Arr)
+    .reduce(ee.Reducer.mean(), [0])
+    .get([0])
+    .divide(elvRange_Num.abs().max(1));
+  
+  // RMSE of the elevation from a linear fit against the distance.
+  var ones_Arr = ee.Array(ee.List.repeat(1, sampleCount_Num))
+    .reshape([sampleCount_Num, 1]);
+  
+  var predictors_Arr = ee.Array.cat([ones_Arr,
+    distances_Arr.reshape([sampleCount_Num, 1])], 1);
+  
+  var response_Arr = elevations_Arr.reshape([sampleCount_Num, 1]);
+  
+  var coefficients_Arr = predictors_Arr.matrixSolve(response_Arr);
+  
+  var rmse_Num = response_Arr
+    .subtract(predictors_Arr.matrixMultiply(coefficients_Arr))
+    .pow(2)
+    .reduce(ee.Reducer.mean(), [0])
+    .sqrt()
+    .get([0, 0]);
+  
+  return ee.Dictionary({
+    profile_SampleCount: sampleCount_Num,
+    profile_MaxSlope: maxSlope_Num,
+    profile_Reversals: reversals_Num,
+    profile_Concavity: concavity_Num,
+    profile_RMSE: rmse_Num
+  });
+};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Elevation of the configured DEM provider in the AOI.
+var DEMelv = dem.loadElevation(config.dem, AOI, prj_Info);
+
+// Raw transect centerlines with basin IDs.
+var centerlines_FC = ee.FeatureCollection(wd_Input
+  + "RawCenterlines_withBasinIDs");
+
+
+/*******************************************************************************
+ * 1) Sample the elevation at a fixed spacing along each
+ *    transect centerline (from the lower to the upper endpoint). *
+ ******************************************************************************/
+
+// Store the distance and elevation of each sample.
+var sampledCenterlines_FC = centerlines_FC.map(function(centerline_Ftr) {
+  var profile_Dict = sampleProfile(centerline_Ftr, DEMelv,
+    spacing_Num, prj_Info);
+  
+  return centerline_Ftr.set({
+    profile_Distances: profile_Dict.distances,
+    profile_Elevations: profile_Dict.elevations,
+    profile_StepReduced: profile_Dict.stepReduced
+  });
+});
+
+
+/*******************************************************************************
+ * 2) Derive the shape metrics of each elevation profile:
+ *    the maximum local slope, the number of reversals,
+ *    the concavity, and the RMSE from a linear fit. *
+ ******************************************************************************/
+
+// Leave the metrics null for the profiles of fewer than three samples 
+//  of valid elevation.
+var minSampleCount_Num = 3;
+
+var profiles_FC = sampledCenterlines_FC.map(function(centerline_Ftr) {
+  var distances_List = ee.List(centerline_Ftr.get("profile_Distances"));
+  var elevations_List = ee.List(centerline_Ftr.get("profile_Elevations"));
+  
+  var sampleCount_Num = elevations_List.size();
+  
+  return ee.Feature(ee.Algorithms.If(
+    sampleCount_Num.gte(minSampleCount_Num),
+    centerline_Ftr.set(computeProfileMetrics(
+      distances_List, elevations_List)),
+    centerline_Ftr.set("profile_SampleCount", sampleCount_Num)));
+});
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Centerline_Profiles: {
+    collection: profiles_FC
+  }
+};
+
+// Datasets checked by the step script.
+exports.centerlines_FC = centerlines_FC;
@@ -0,0 +1,364 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Computations of Step 4.1 (Steepest Transect Identification; see the 
+ *  step script for the details), without any visualization or export, so 
+ *  that the step script and the pipeline orchestrator can load them.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Landscape units (please revise this to your GEE repository path).
+var landscapeUnits = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Landscape_Units");
+
+// DEM providers (please revise this to your GEE repository path).
+var dem = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/DEM_Providers");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "dem", "wd_Input",
+  "thresholds.length_LowerThres", "thresholds.length_UpperThres",
+  "thresholds.transect_BufferDist", "landscapeUnits.type"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Property name of the basin (landscape unit) ID.
+var basinID_Str = landscapeUnits.idField(config.landscapeUnits);
+
+// Property name of the centerline ID.
+var centerlineID_Str = "CL_ID";
+
+// Property name of the centerline length.
+var length_Str = "CL_length";
+
+// Centerline length thresholds (in meters).
+var lowerThres_Num = config.thresholds.length_LowerThres;
+var upperThres_Num = config.thresholds.length_UpperThres;
+
+// Distance of the centerline buffer (in meters).
+var bufferDistance_Num = config.thresholds.transect_BufferDist;
+
+// Property name of the centerline bearing 
+//  (from the lower to the upper endpoint).
+var bearing_Str = "CL_bearing";
+
+// Property name of the mean aspect within each transect buffer.
+var aspect_Str = "mean_Aspect";
+
+// Aspect classes (centered on each cardinal direction, 
+//  in degrees clockwise from north).
+var aspectClasses_List = ee.List(["N", "E", "S", "W"]);
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Circular statistics of a List of angles (in degrees): 
+//  the mean direction, the mean resultant length (0 - 1), 
+//  and the circular standard deviation (in degrees).
+var summarizeAngles = function(angles_List, prefix_Str) {
+  var radians_Arr = ee.Array(angles_List).multiply(Math.PI / 180);
+  
+  var meanSin_Num = radians_Arr.sin()
+    .reduce(ee.Reducer.mean(), [0]).get([0]);
+  
+  var meanCos_Num = radians_Arr.cos()
+    .reduce(ee.Reducer.mean(), [0]).get([0]);
+  
+  var meanDirection_Num = meanSin_Num.atan2(meanCos_Num)
+    .multiply(180 / Math.PI)
+    .add(360)
+    .mod(360);
+  
+  var resultant_Num = meanSin_Num.hypot(meanCos_Num);
+  
+  // (Note: the resultant length is bounded away from zero 
+  //  to keep the logarithm finite.)
+  var circStd_Num = resultant_Num.max(1e-6)
+    .log()
+    .multiply(-2)
+    .sqrt()
+    .multiply(180 / Math.PI);
+  
+  return ee.Dictionary.fromLists(
+    [prefix_Str + "_Mean", prefix_Str + "_Resultant", 
+      prefix_Str + "_CircStd"], 
+    [meanDirection_Num, resultant_Num, circStd_Num]);
+};
+
+// Class of an angle by the nearest cardinal direction.
+var classifyAspect = function(angle_Num) {
+  var index_Num = ee.Number(angle_Num).divide(90)
+    .round()
+    .mod(4);
+  
+  return aspectClasses_List.get(index_Num);
+};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Elevation of the configured DEM provider in the AOI.
+var DEMelv = dem.loadElevation(config.dem, AOI, prj_Info);
+
+// Raw transect centerlines with basin IDs.
+var centerlines_FC = ee.FeatureCollection(wd_Input
+  + "RawCenterlines_withBasinIDs");
+
+// Raw transect centerline segments.
+var segments_FC = ee.FeatureCollection(wd_Input
+  + "Raw_Centerline_Segments");
+
+// Grouped buffers of transect centerline segments.
+var groupedBuffers_FC = ee.FeatureCollection(wd_Input
+  + "Grouped_Centerline_Segment_Buffers");
+
+
+/*******************************************************************************
+ * 1) Identify the locally steepest transect centerline within each group. *
+ ******************************************************************************/
+
+// Spatial Filter as geometries that intersect.
+var intersect_Filter = ee.Filter.intersects({
+  leftField: ".geo",
+  rightField: ".geo"
+});
+
+// Save-first Join to pick the steepest centerline.
+var matchName_Str = "steepest";
+
+var saveFirst_Join = ee.Join.saveFirst({
+  matchKey: matchName_Str, 
+  ordering: "elvRange", 
+  ascending: false
+});
+
+// Create a non-duplicate List of basin IDs.
+var basinIDs_List = groupedBuffers_FC.aggregate_array(basinID_Str)
+  .distinct();
+
+// Identify the locally steepest centerlines by basin.
+var steepestCenterlines_List = basinIDs_List.map(function(basinID_Num) {
+  
+  // Define a Filter of the basin ID.
+  var basinID_Filter = ee.Filter.eq(basinID_Str, basinID_Num);
+  
+  // Identify the raw centerlines within each basin.
+  var centerlines_perBasin_FC = centerlines_FC
+    .filter(basinID_Filter);
+  
+  // Identify the centerline segments within each basin.
+  var segments_perBasin_FC = segments_FC
+    .filter(basinID_Filter);
+  
+  // Identify the grouped segment buffers within each basin.
+  var groupedBuffers_perBasin_FC = groupedBuffers_FC
+    .filter(basinID_Filter);
+  
+  // Join each grouped segment buffer with the corresponding
+  //  centerline segments and identify the steepest segment
+  //  within each group.
+  var steepestSegments_perBasin_FC = saveFirst_Join.apply({
+    primary: groupedBuffers_perBasin_FC, 
+    secondary: segments_perBasin_FC, 
+    condition: intersect_Filter
+  });
+  
+  // Select the centerline corresponding to each identified 
+  //  steepest segment.
+  var steepestCenterlines_perBasin_FC = steepestSegments_perBasin_FC.map(
+    function(joined_Ftr) {
+      
+      // Determine the corresponding centerline ID.
+      var steepestSegment_perGroup_Ftr = joined_Ftr
+        .get(matchName_Str);
+      
+      var centerlineID_Num = ee.Feature(steepestSegment_perGroup_Ftr)
+        .get(centerlineID_Str);
+      
+      // Identify the centerline with the same ID.
+      var steepestCenterline_perGroup_Ftr = centerlines_perBasin_FC
+        .filter(ee.Filter.eq(centerlineID_Str, centerlineID_Num))
+        .first();
+      
+      return steepestCenterline_perGroup_Ftr;
+    }
+  );
+  
+  return steepestCenterlines_perBasin_FC;
+});
+
+var steepestCenterlines_FC = ee.FeatureCollection(steepestCenterlines_List)
+  .flatten();
+
+
+/*******************************************************************************
+* 2) Select the identified centerlines between 300 m and 3 km. *
+******************************************************************************/
+
+// Centerline length Filter.
+var length_Filter = ee.Filter.and(
+  ee.Filter.gte(length_Str, lowerThres_Num),
+  ee.Filter.lte(length_Str, upperThres_Num)
+);
+
+// Filter the identified centerlines.
+steepestCenterlines_FC = steepestCenterlines_FC.filter(length_Filter);
+
+
+/*******************************************************************************
+* 3) Create a 45-m buffer around each selected centerline. *
+******************************************************************************/
+
+var transectBuffers_FC = steepestCenterlines_FC.map(
+  function(steepestCenterline_Ftr) {
+    return steepestCenterline_Ftr.buffer(bufferDistance_Num);
+  }
+);
+
+
+/*******************************************************************************
+* 4) Derive the mean DEM aspect and slope within each transect buffer. *
+******************************************************************************/
+
+// Slope and the sine and cosine of the aspect (in degrees)
+//  for averaging the aspect as a circular variable.
+var aspectRadians_Img = ee.Terrain.aspect(DEMelv)
+  .multiply(Math.PI / 180);
+
+var terrain_Img = ee.Terrain.slope(DEMelv).rename("slope")
+  .addBands(aspectRadians_Img.sin().rename("aspect_Sin"))
+  .addBands(aspectRadians_Img.cos().rename("aspect_Cos"))
+  .reproject(prj_Info);
+
+var terrainMeans_FC = terrain_Img.reduceRegions({
+  collection: transectBuffers_FC, 
+  reducer: ee.Reducer.mean(), 
+  scale: prj_Info.scale, 
+  crs: prj_Info.crs
+});
+
+// Convert the mean sine and cosine to the mean aspect, 
+//  and classify the aspect by the nearest cardinal direction.
+//  (The aspect attributes are null for the transects 
+//  without valid DEM pixels.)
+var steepestTransects_FC = terrainMeans_FC.map(function(transect_Ftr) {
+  var meanSin_Num = ee.Number(transect_Ftr.get("aspect_Sin"));
+  var meanCos_Num = ee.Number(transect_Ftr.get("aspect_Cos"));
+  
+  var meanAspect_Num = meanSin_Num.atan2(meanCos_Num)
+    .multiply(180 / Math.PI)
+    .add(360)
+    .mod(360);
+  
+  var transect_withoutMeans_Ftr = ee.Feature(
+    ee.Feature(transect_Ftr.geometry())
+      .copyProperties({
+        source: transect_Ftr, 
+        exclude: ["slope", "aspect_Sin", "aspect_Cos"]
+      }));
+  
+  var aspect_Dict = ee.Dictionary({
+    mean_Slope: transect_Ftr.get("slope"),
+    mean_Aspect: meanAspect_Num,
+    aspect_Resultant: meanSin_Num.hypot(meanCos_Num),
+    aspect_Class: classifyAspect(meanAspect_Num)
+  });
+  
+  var nullAspect_Dict = ee.Dictionary({
+    mean_Slope: null,
+    mean_Aspect: null,
+    aspect_Resultant: null,
+    aspect_Class: null
+  });
+  
+  return transect_withoutMeans_Ftr.set(ee.Algorithms.If(
+    ee.Algorithms.IsEqual(transect_Ftr.get("aspect_Sin"), null), 
+    nullAspect_Dict, aspect_Dict));
+});
+
+
+/*******************************************************************************
+* 5) Summarize the bearings and aspects of the transects by basin
+*    with circular statistics. *
+******************************************************************************/
+
+// Transects with valid aspect attributes.
+var aspectTransects_FC = steepestTransects_FC
+  .filter(ee.Filter.notNull([aspect_Str]));
+
+// Basins with at least one of these transects.
+var transectBasinIDs_List = aspectTransects_FC.aggregate_array(basinID_Str)
+  .distinct();
+
+var aspectSummary_FC = ee.FeatureCollection(transectBasinIDs_List.map(
+  function(basinID_Num) {
+    var transects_perBasin_FC = aspectTransects_FC
+      .filter(ee.Filter.eq(basinID_Str, basinID_Num));
+    
+    var count_Num = transects_perBasin_FC.size();
+    
+    // Number of the transects facing each cardinal direction.
+    var classCounts_List = aspectClasses_List.map(function(class_Str) {
+      return transects_perBasin_FC
+        .filter(ee.Filter.eq("aspect_Class", class_Str))
+        .size();
+    });
+    
+    var classCounts_Dict = ee.Dictionary.fromLists(
+      aspectClasses_List.map(function(class_Str) {
+        return ee.String(class_Str).cat("_Count");
+      }), 
+      classCounts_List);
+    
+    return ee.Feature(null, ee.Dictionary.fromLists(
+      [basinID_Str, "transect_Count"], [basinID_Num, count_Num])
+      .combine(classCounts_Dict)
+      .combine(summarizeAngles(
+        transects_perBasin_FC.aggregate_array(bearing_Str), "bearing"))
+      .combine(summarizeAngles(
+        transects_perBasin_FC.aggregate_array(aspect_Str), "aspect")));
+  }));
+
+
+/*******************************************************************************
+ * Pipeline interface *
+ ******************************************************************************/
+
+// Results of this step to be exported by the pipeline orchestrator.
+exports.outputs = {
+  Elevational_Transects: {
+    collection: steepestTransects_FC
+  },
+  Transect_Aspect_Summary: {
+    collection: aspectSummary_FC
+  }
+};
+
+// Datasets checked by the step script.
+exports.centerlines_FC = centerlines_FC;
+exports.segments_FC = segments_FC;
+exports.groupedBuffers_FC = groupedBuffers_FC;
@@ -0,0 +1,167 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Surfaces excluded from the broad ATE and from the non-forested
+ *  candidates of the upper transect endpoints:
+ * 
+ *  1) "glaciers": Randolph Glacier Inventory (Version 7.0) polygons
+ *     (uploaded under the global working directory as 
+ *     "Randolph_Glacier_Inventory_v7/RGI_v7_Glaciers").
+ * 
+ *  2) "snow": persistent snow (the snow and ice class of
+ *     the configured land cover in ALL its years).
+ * 
+ *  3) "bareRock": bare or sparsely vegetated areas (the bare class of
+ *     the configured land cover in ALL its years).
+ * 
+ *  (The snow and bare classes are taken from Copernicus 2015 - 2019 
+ *  if the configured land cover does not classify them, as recorded 
+ *  in the "fallback_Classes" property of the extracted surfaces.)
+ * 
+ *  Also summarizes the area excluded by each surface within 
+ *  each mountain range.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Modules *
+ ******************************************************************************/
+
+// Land cover adapters (please revise this to your GEE repository path).
+var landCoverAdapters = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Land_Cover_Adapters");
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// File path of the Randolph Glacier Inventory v7.0
+//  (under the global working directory).
+var glacier_FilePath = "Randolph_Glacier_Inventory_v7/RGI_v7_Glaciers";
+
+// Land cover of the snow and bare classes if they are not classified 
+//  in the configured land cover (e.g., "Hansen").
+var fallback_LandCover = {
+  source: "Copernicus",
+  years: [2015, 2016, 2017, 2018, 2019]
+};
+
+// Names of the excluded surfaces (also the band names of
+//  the exclusion image).
+exports.surfaceNames = ["glaciers", "snow", "bareRock"];
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Load the glacier polygons in a region.
+var loadGlaciers = function(wd_Global, region) {
+  return ee.FeatureCollection(wd_Global + glacier_FilePath)
+    .filterBounds(region);
+};
+
+// Land cover of a class ("Snow" OR "Bare"): the configured land cover, 
+//  OR the fallback land cover if the class is not available in it.
+var classLandCover = function(landCover, className) {
+  if (landCoverAdapters.hasClass(landCover, className)) {
+    return landCover;
+  }
+  
+  return fallback_LandCover;
+};
+
+// Classes ("Snow" and "Bare") of the selected surfaces taken from 
+//  the fallback land cover (as not classified in the configured one).
+exports.fallbackClasses = function(exclusions, landCover) {
+  var classSurfaces = {Snow: "snow", Bare: "bareRock"};
+  
+  return Object.keys(classSurfaces).filter(function(className) {
+    return exclusions.enabled && exclusions[classSurfaces[className]]
+      && !landCoverAdapters.hasClass(landCover, className);
+  });
+};
+
+// Extract each excluded surface in a region
+//  (a band of 1 for each surface; 0 if not selected), recording 
+//  the classes taken from the fallback land cover (if any).
+exports.extractSurfaces = function(exclusions, landCover, wd_Global,
+  region, proj) {
+  var extractors = {
+    glaciers: function() {
+      return ee.Image(0).byte()
+        .paint(loadGlaciers(wd_Global, region), 1);
+    },
+    snow: function() {
+      return landCoverAdapters.extractSnow_inAllYears(
+        classLandCover(landCover, "Snow"), region, proj);
+    },
+    bareRock: function() {
+      return landCoverAdapters.extractBare_inAllYears(
+        classLandCover(landCover, "Bare"), region, proj);
+    }
+  };
+  
+  var surfaces = exports.surfaceNames.map(function(surfaceName) {
+    var surface = (exclusions.enabled && exclusions[surfaceName])
+      ? extractors[surfaceName]() : ee.Image(0);
+    
+    return surface.unmask(0)
+      .rename(surfaceName);
+  });
+  
+  var fallbackClasses = exports.fallbackClasses(exclusions, landCover);
+  
+  return ee.Image.cat(surfaces)
+    .reproject(proj)
+    .set({
+      fallback_Classes: fallbackClasses.join(", "),
+      fallback_LandCover: fallbackClasses.length > 0 
+        ? fallback_LandCover.source + " " 
+          + fallback_LandCover.years.join(", ") 
+        : ""
+    });
+};
+
+// Combine the excluded surfaces into a mask of the retained areas
+//  (1: retained; 0: excluded).
+exports.retainedMask = function(surfaces) {
+  return surfaces.reduce(ee.Reducer.max())
+    .not()
+    .rename("retained");
+};
+
+// Areas of a mask on each excluded surface 
+//  (a band of 1 for each surface, named "excluded_<surface>").
+exports.excludedAreas = function(mask, surfaces) {
+  return ee.Image.cat(exports.surfaceNames.map(function(surfaceName) {
+    return mask.and(surfaces.select(surfaceName))
+      .rename("excluded_" + surfaceName);
+  }));
+};
+
+// Summarize the area (in square kilometers) of each band of an image 
+//  of areas (1 for each pixel counted) within each mountain range, 
+//  keeping the range properties of interest ("rangeFields") and 
+//  the fallback land cover of the excluded surfaces without geometry.
+exports.summarizeByRange = function(areas, surfaces, ranges, 
+  rangeFields, proj) {
+    var areas_km2 = areas.multiply(ee.Image.pixelArea().divide(1e6));
+    
+    return areas_km2.reduceRegions({
+      collection: ranges,
+      reducer: ee.Reducer.sum(),
+      scale: proj.scale,
+      crs: proj.crs
+    }).map(function(range) {
+      return ee.Feature(null).copyProperties(range, 
+        ee.List(rangeFields).cat(areas.bandNames()))
+        .copyProperties(surfaces, 
+          ["fallback_Classes", "fallback_LandCover"]);
+    });
+  };
@@ -0,0 +1,128 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  Functions for the tiled execution mode of the transect generation
+ *  pipeline:
+ * 
+ *  1) Split a large domain into tiles, each with a halo as wide as
+ *     the largest neighborhood operation of a step.
+ * 
+ *  2) Export the result of a step within each tile core, computed from
+ *     the inputs clipped to the tile halo.
+ * 
+ *  3) Stitch the exported tile cores into a seamless image.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Approximate lengths of one degree of latitude and longitude
+//  (at the equator) in meters.
+var latDegree_Length = 110574;
+var lonDegree_Length = 111320;
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Convert a halo width from the number of pixels to meters.
+exports.haloWidth = function(halo_Pixels, proj) {
+  return halo_Pixels * proj.scale;
+};
+
+// Split the bounding box of an AOI into tiles of a given size (in degrees).
+//  Each tile has a core (non-overlapping) and a halo region
+//  (the core expanded by a given width in meters).
+exports.generateTiles = function(AOI, tileSize, halo_Meters) {
+  // Get the bounding coordinates of the AOI.
+  var coords = ee.List(AOI.bounds().coordinates().get(0)).getInfo();
+  
+  var lons = coords.map(function(coord) { return coord[0]; });
+  var lats = coords.map(function(coord) { return coord[1]; });
+  
+  var west = Math.min.apply(null, lons);
+  var east = Math.max.apply(null, lons);
+  var south = Math.min.apply(null, lats);
+  var north = Math.max.apply(null, lats);
+  
+  var tiles = [];
+  
+  for (var row = 0; south + row * tileSize < north; row++) {
+    for (var col = 0; west + col * tileSize < east; col++) {
+      // Core of each tile.
+      var core_W = west + col * tileSize;
+      var core_S = south + row * tileSize;
+      var core_E = Math.min(core_W + tileSize, east);
+      var core_N = Math.min(core_S + tileSize, north);
+      
+      // Convert the halo width to degrees at the poleward edge
+      //  of the tile, where a degree of longitude is the shortest.
+      var maxAbsLat = Math.min(
+        Math.max(Math.abs(core_S), Math.abs(core_N)), 89);
+      
+      var halo_Lat = halo_Meters / latDegree_Length;
+      var halo_Lon = halo_Meters
+        / (lonDegree_Length * Math.cos(maxAbsLat * Math.PI / 180));
+      
+      tiles.push({
+        id: "R" + row + "C" + col,
+        core: ee.Geometry.Rectangle({
+          coords: [[core_W, core_S], [core_E, core_N]],
+          geodesic: false
+        }),
+        halo: ee.Geometry.Rectangle({
+          coords: [[core_W - halo_Lon, Math.max(core_S - halo_Lat, -90)],
+            [core_E + halo_Lon, Math.min(core_N + halo_Lat, 90)]],
+          geodesic: false
+        })
+      });
+    }
+  }
+  
+  return tiles;
+};
+
+// Path of the ImageCollection storing the tiles of an output.
+exports.tileCollectionPath = function(wd_Output, fileName) {
+  return wd_Output + fileName + "_Tiles";
+};
+
+// Name of the asset of each tile.
+exports.tileFileName = function(fileName, tile) {
+  return fileName + "_" + tile.id;
+};
+
+// Export the result of a step within the core of each given tile.
+//  "output.buildTile" computes the result from the inputs
+//  clipped to the tile halo.
+exports.exportTiles = function(output, fileName, tiles, wd_Output) {
+  var collectionPath = exports.tileCollectionPath(wd_Output, fileName);
+  
+  tiles.forEach(function(tile) {
+    var tileFileName = exports.tileFileName(fileName, tile);
+    
+    Export.image.toAsset({
+      image: output.buildTile(tile.halo).clip(tile.core),
+      description: tileFileName,
+      assetId: collectionPath + "/" + tileFileName,
+      region: tile.core,
+      scale: output.scale,
+      crs: output.crs,
+      maxPixels: 1e13
+    });
+  });
+};
+
+// Stitch the exported tile cores of an output.
+exports.stitchTiles = function(wd_Output, fileName) {
+  return ee.ImageCollection(
+    exports.tileCollectionPath(wd_Output, fileName))
+    .mosaic();
+};
@@ -0,0 +1,343 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  1) Check which assets of the transect generation pipeline
+ *     (Step 1.1 through Step 4.1) already exist.
+ * 
+ *  2) Submit the export tasks of the missing assets, in order,
+ *     for each step whose upstream assets all exist, and report
+ *     the steps blocked on missing upstream assets.
+ * 
+ *  (Run this script again after the submitted tasks complete
+ *  to advance the pipeline until all the steps are done.
+ *  In the tiled execution mode, the tiles of a step are exported
+ *  first and stitched in a later run. The outputs whose export tasks
+ *  are still pending or running are not submitted again.
+ *  The computations of each step are loaded from its module under 
+ *  "Modules/Steps", which neither visualizes nor exports anything.)
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Runtime: N/A
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// GEE repository path of the "Generation" scripts
+//  (please revise this to your GEE repository path).
+var repoPath = "users/ChenyangWei/ATET_v1:Generation/";
+
+// Path of the step modules (the computations of each step, 
+//  without any visualization or export) under the repository.
+var stepsPath = repoPath + "Modules/Steps/";
+
+// Shared pipeline configuration.
+var config = require(repoPath + "Modules/Configuration");
+
+// Tiled execution functions.
+var tiling = require(repoPath + "Modules/Tiling");
+
+// Functions for checking the exported assets.
+var assets = require(repoPath + "Modules/Assets");
+
+// Check the required configuration keys.
+config.validate(["wd_Input", "wd_Output", "tiling.enabled",
+  "regionalPyramid.scales", "regionalPyramid.checkpoints"]);
+
+// Working directories.
+var wd_Input = config.wd_Input;
+var wd_Output = config.wd_Output;
+
+// Module of the regional forest elevation pyramid (Step 1.2.2).
+var pyramidModule = "Step_1.2.2_Regional_Forest_Elevation_Determination";
+
+// Stages of Step 1.2.2: each checkpoint level of the pyramid is exported
+//  before the levels aggregated from it.
+var pyramidInputs = ["Local_Forest_Elevation"];
+
+var pyramidSteps = config.checkpointFileNames()
+  .map(function(fileName) {
+    var stage = {
+      name: "Step 1.2.2 (" + fileName + ")",
+      module: pyramidModule,
+      inputs: pyramidInputs,
+      outputs: [fileName]
+    };
+    
+    pyramidInputs = [fileName];
+    
+    return stage;
+  });
+
+pyramidSteps.push({
+  name: "Step 1.2.2",
+  module: pyramidModule,
+  inputs: pyramidInputs,
+  outputs: ["Smoothed_Regional_Forest_Elevation"]
+});
+
+// Step graph: the module, upstream assets, and output assets of each step.
+var steps = [
+  {
+    name: "Step 1.1",
+    module: "Step_1.1_Fundamental_Niche_Edge_Identification",
+    inputs: [],
+    outputs: ["Climatic_Treeline_Elevation",
+      "Fundamental_Niche_Edge"]
+  },
+  {
+    name: "Step 1.2.1",
+    module: "Step_1.2.1_Local_Forest_Elevation_Determination",
+    inputs: ["Fundamental_Niche_Edge"],
+    outputs: ["Local_Forest_Elevation"]
+  }
+].concat(pyramidSteps, [
+  {
+    name: "Step 1.2.5",
+    module: "Step_1.2.5_ATE_Identification",
+    inputs: ["Fundamental_Niche_Edge",
+      "Smoothed_Regional_Forest_Elevation",
+      "Local_Forest_Elevation"],
+    outputs: ["Broad_Alpine_Treeline_Ecotones",
+      "Broad_ATE_Criteria",
+      "Broad_ATE_Exclusion_Summary"]
+  },
+  {
+    name: "Step 2.1",
+    module: "Step_2.1_Medial-Axis_Determination",
+    inputs: ["Broad_Alpine_Treeline_Ecotones"],
+    outputs: ["MedialAxis_SquaredDistance"]
+  },
+  {
+    name: "Step 2.2",
+    module: "Step_2.2_Basin_Selection",
+    inputs: ["MedialAxis_SquaredDistance"],
+    outputs: ["Selected_Basins"]
+  },
+  {
+    name: "Step 2.3",
+    module: "Step_2.3_Medial-Axis_Vectorization",
+    inputs: ["MedialAxis_SquaredDistance",
+      "Selected_Basins"],
+    outputs: ["MedialAxis_PixelCentroids",
+      "MedialAxis_Skeleton_Segments",
+      "MedialAxis_Skeletons"]
+  },
+  {
+    name: "Step 3.1",
+    module: "Step_3.1_Raw_Centerline_Generation",
+    inputs: ["Broad_Alpine_Treeline_Ecotones",
+      "Selected_Basins",
+      "MedialAxis_PixelCentroids"],
+    outputs: ["Raw_Centerlines",
+      "Raw_Centerline_Exclusion_Summary"]
+  },
+  {
+    name: "Step 3.1 (Multi-Epoch)",
+    module: "Step_3.1_Multi-Epoch_Centerline_Comparison",
+    inputs: ["Broad_Alpine_Treeline_Ecotones",
+      "Selected_Basins",
+      "MedialAxis_PixelCentroids"],
+    outputs: config.epochs.map(function(epoch) {
+      return "Raw_Centerlines_" + epoch.name;
+    }).concat(["Centerline_Endpoint_Shifts"])
+  },
+  {
+    name: "Step 3.2",
+    module: "Step_3.2_Basin_ID_Extraction",
+    inputs: ["Raw_Centerlines",
+      "Selected_Basins"],
+    outputs: ["RawCenterlines_withBasinIDs"]
+  },
+  {
+    name: "Step 3.3",
+    module: "Step_3.3_Raw_Centerline_Grouping",
+    inputs: ["RawCenterlines_withBasinIDs"],
+    outputs: ["Raw_Centerline_Segments",
+      "Grouped_Centerline_Segment_Buffers"]
+  },
+  {
+    name: "Step 3.4",
+    module: "Step_3.4_Centerline_Profile_Sampling",
+    inputs: ["RawCenterlines_withBasinIDs"],
+    outputs: ["Centerline_Profiles"]
+  },
+  {
+    name: "Step 4.1",
+    module: "Step_4.1_Steepest_Transect_Identification",
+    inputs: ["RawCenterlines_withBasinIDs",
+      "Raw_Centerline_Segments",
+      "Grouped_Centerline_Segment_Buffers"],
+    outputs: ["Elevational_Transects", "Transect_Aspect_Summary"]
+  }
+]);
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// List the descriptions of the export tasks still pending or running.
+var listActiveTasks = function() {
+  var operations = ee.data.listOperations() || [];
+  
+  return operations.filter(function(operation) {
+    var state = (operation.metadata || {}).state;
+    
+    return state === "PENDING" || state === "RUNNING";
+  }).map(function(operation) {
+    return operation.metadata.description;
+  });
+};
+
+// Submit the export task of an output asset.
+var submitExport = function(fileName, output) {
+  if (output.image) {
+    Export.image.toAsset({
+      image: output.image,
+      description: fileName,
+      assetId: wd_Output + fileName,
+      region: output.region,
+      scale: output.scale,
+      crs: output.crs,
+      maxPixels: 1e13
+    });
+  } else {
+    Export.table.toAsset({
+      collection: output.collection,
+      description: fileName,
+      assetId: wd_Output + fileName
+    });
+  }
+};
+
+// Submit the export tasks of the missing tiles of an output asset,
+//  or the export task of the stitched output once all the tiles exist.
+var submitTiledExport = function(fileName, output) {
+  var tiles = tiling.generateTiles(output.region, 
+    config.tiling.tileSize, 
+    tiling.haloWidth(output.halo, output));
+  
+  // Create the ImageCollection of tiles if it does not exist.
+  var collectionPath = tiling.tileCollectionPath(wd_Output, fileName);
+  
+  if (!assets.assetExists(collectionPath)) {
+    ee.data.createAsset({type: "ImageCollection"}, collectionPath);
+  }
+  
+  var exportedTiles = assets.listAssetNames(collectionPath);
+  
+  var missingTiles = tiles.filter(function(tile) {
+    return exportedTiles.indexOf(
+      tiling.tileFileName(fileName, tile)) === -1;
+  });
+  
+  // Skip the tiles whose export tasks are still active.
+  var unsubmittedTiles = missingTiles.filter(function(tile) {
+    return activeTasks.indexOf(
+      tiling.tileFileName(fileName, tile)) === -1;
+  });
+  
+  if (unsubmittedTiles.length > 0) {
+    tiling.exportTiles(output, fileName, unsubmittedTiles, wd_Output);
+    
+    return "submitted " + unsubmittedTiles.length + " of " 
+      + tiles.length + " tiles of " + fileName + ".";
+  } else if (missingTiles.length > 0) {
+    return "waiting for " + missingTiles.length + " of " 
+      + tiles.length + " tiles of " + fileName + ".";
+  }
+  
+  submitExport(fileName, {
+    image: tiling.stitchTiles(wd_Output, fileName),
+    region: output.region,
+    scale: output.scale,
+    crs: output.crs
+  });
+  
+  return "submitted the stitched " + fileName + ".";
+};
+
+
+/*******************************************************************************
+ * 1) Check which assets of the transect generation pipeline
+ *    already exist. *
+ ******************************************************************************/
+
+// Upstream assets are read by each step from "wd_Input",
+//  so a full run requires both directories to be the same.
+if (wd_Input !== wd_Output) {
+  print("Warning: \"wd_Input\" differs from \"wd_Output\". "
+    + "Exported assets will not be found by the downstream steps.");
+}
+
+// Export tasks submitted by earlier runs and still pending or running
+//  (their outputs are not submitted again).
+var activeTasks = listActiveTasks();
+
+var stepStatus = steps.map(function(step) {
+  var missingInputs = step.inputs.filter(function(fileName) {
+    return !assets.assetExists(wd_Input + fileName);
+  });
+  
+  var missingOutputs = step.outputs.filter(function(fileName) {
+    return !assets.assetExists(wd_Output + fileName);
+  });
+  
+  return {
+    step: step,
+    missingInputs: missingInputs,
+    missingOutputs: missingOutputs
+  };
+});
+
+
+/*******************************************************************************
+ * 2) Submit the export tasks of the missing assets, in order,
+ *    for each step whose upstream assets all exist, and report
+ *    the steps blocked on missing upstream assets. *
+ ******************************************************************************/
+
+stepStatus.forEach(function(status) {
+  var step = status.step;
+  
+  if (status.missingOutputs.length === 0) {
+    
+    print(step.name + ": done.");
+    
+  } else if (status.missingInputs.length > 0) {
+    
+    print(step.name + ": blocked on "
+      + status.missingInputs.join(", ") + ".");
+    
+  } else {
+    
+    // Load the results of the step.
+    var stepOutputs = require(stepsPath + step.module).outputs;
+    
+    status.missingOutputs.forEach(function(fileName) {
+      var output = stepOutputs[fileName];
+      
+      if (activeTasks.indexOf(fileName) !== -1) {
+        
+        print(step.name + ": waiting for the export task of " 
+          + fileName + ".");
+        
+      } else if (config.tiling.enabled && output.buildTile) {
+        
+        print(step.name + ": " + submitTiledExport(fileName, output));
+        
+      } else {
+        
+        submitExport(fileName, output);
+        
+        print(step.name + ": submitted " + fileName + ".");
+      }
+    });
+  }
+});
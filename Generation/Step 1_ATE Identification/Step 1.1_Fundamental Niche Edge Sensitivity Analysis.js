@@ -0,0 +1,175 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  1) Identify the fundamental niche edge of trees under each combination
+ *     of the vertical and horizontal thresholds.
+ * 
+ *  2) Calculate the area of the fundamental niche edge within each
+ *     GMBA mountain range in the AOI.
+ * 
+ *  3) Output the niche-edge areas of all the threshold combinations 
+ *     as a table asset.
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Check the required configuration keys.
+config.validate(["AOI", "prj_Info", "wd_Global", "wd_Output",
+  "mountainRange.extent", "sensitivity.vertical_Thres", 
+  "sensitivity.horizontal_Neighborhood", "sensitivity.horizontal_Thres"]);
+
+// Computations of Step 1.1, without any visualization or export
+//  (please revise this to your GEE repository path).
+var step_1_1 = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/"
+  + "Step_1.1_Fundamental_Niche_Edge_Identification");
+
+// Local projections (please revise this to your GEE repository path).
+var projections = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Projections");
+
+// GMBA mountain ranges (please revise this to your GEE repository path).
+var gmba = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/GMBA_Mountains");
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Projection information.
+var prj_Info = config.prj_Info;
+
+// Working directory.
+var wd_Output = config.wd_Output;
+
+// Grid of the thresholds.
+var sensitivity = config.sensitivity;
+
+// Local UTM projection of the AOI for the horizontal distance.
+var dist_Proj = projections.localUTM(AOI, prj_Info.scale);
+
+
+/*******************************************************************************
+ * Functions *
+ ******************************************************************************/
+
+// Generate every combination of the vertical and horizontal thresholds.
+var combineThresholds = function(grid) {
+  var combinations = [];
+  
+  grid.vertical_Thres.forEach(function(vertical_Thres) {
+    grid.horizontal_Neighborhood.forEach(function(horizontal_Neighborhood) {
+      grid.horizontal_Thres.forEach(function(horizontal_Thres) {
+        combinations.push({
+          vertical_Thres: vertical_Thres,
+          horizontal_Neighborhood: horizontal_Neighborhood,
+          horizontal_Thres: horizontal_Thres
+        });
+      });
+    });
+  });
+  
+  return combinations;
+};
+
+// Calculate the area (in square kilometers) of the fundamental niche edge
+//  within each mountain range under a threshold combination.
+var calculateNicheEdgeArea = function(thresholds, ranges) {
+  var fund_Niche_Edge = step_1_1.extractFundNicheEdge(step_1_1.avgTLH, 
+    step_1_1.DEMelv, thresholds, dist_Proj);
+  
+  var nicheEdge_Area = ee.Image.pixelArea()
+    .divide(1e6)
+    .updateMask(fund_Niche_Edge);
+  
+  var areas = nicheEdge_Area.reduceRegions({
+    collection: ranges,
+    reducer: ee.Reducer.sum().setOutputs(["nicheEdge_Area"]),
+    scale: prj_Info.scale,
+    crs: prj_Info.crs
+  });
+  
+  // Keep the range properties of interest without geometry, 
+  //  and record the thresholds of the combination.
+  return areas.map(function(range) {
+    return ee.Feature(null).copyProperties(range, 
+      [gmba.idField, gmba.nameField, "nicheEdge_Area"])
+      .set({
+        vertical_Thres: thresholds.vertical_Thres,
+        horizontal_Neighborhood: thresholds.horizontal_Neighborhood,
+        horizontal_Thres: thresholds.horizontal_Thres
+      });
+  });
+};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// GMBA mountain ranges within the AOI.
+var ranges = gmba.loadInventory(config.wd_Global, 
+  config.mountainRange.extent)
+  .filterBounds(AOI)
+  .map(function(range) {
+    return range.intersection(AOI, 1);
+  });
+
+
+/*******************************************************************************
+ * 1) Identify the fundamental niche edge of trees under each combination
+ *    of the vertical and horizontal thresholds. *
+ * 
+ * 2) Calculate the area of the fundamental niche edge within each
+ *    GMBA mountain range in the AOI. *
+ ******************************************************************************/
+
+var combinations = combineThresholds(sensitivity);
+
+var nicheEdge_Areas = ee.FeatureCollection(
+  combinations.map(function(thresholds) {
+    return calculateNicheEdgeArea(thresholds, ranges);
+  })
+).flatten();
+
+
+/*******************************************************************************
+ * 3) Output the niche-edge areas of all the threshold combinations 
+ *    as a table asset. *
+ ******************************************************************************/
+
+var output = false; // true OR false.
+
+if (!output) {
+  
+  // Check the threshold combinations and the mountain ranges.
+  print("Threshold combinations:", combinations.length);
+  
+  Map.setOptions("Satellite");
+  Map.centerObject(AOI, 8);
+  
+  Map.addLayer(ranges, {color: "FFFFFF"}, "GMBA mountain ranges");
+  
+} else {
+  
+  // Output the result to your GEE Asset.
+  var fileName = "Fundamental_Niche_Edge_Sensitivity";
+  
+  Export.table.toAsset({
+    collection: nicheEdge_Areas,
+    description: fileName,
+    assetId: wd_Output + fileName
+  });
+}
+
@@ -0,0 +1,117 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  1) Aggregate the determined elevation of upper-montane closed forests
+ *     from 30 m through each configured scale of the pyramid
+ *     (500 m and 10 km by default).
+ *     (Due to the computational limitation of Google Earth Engine, 
+ *     the levels set as checkpoints are exported as assets and 
+ *     the coarser levels are aggregated from the exported assets.)
+ * 
+ *     (For a percentile, the pixel counts of elevation bins are
+ *     aggregated instead, and the percentile is derived at the end.)
+ * 
+ *  2) Smooth the aggregated elevation of the coarsest scale
+ *     within the configured kernel (a ten-pixel circle by default)
+ *     at the output scale (the original 30 m by default),
+ *     optionally weighted by the number of closed-forest pixels and
+ *     limited to a maximum extrapolation distance, and count 
+ *     the closed-forest pixels supporting each smoothed cell.
+ * 
+ *  (The computations are in the "Modules/Steps/
+ *  Step_1.2.2_Regional_Forest_Elevation_Determination" module.)
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Runtime: Less than 1 minute per export (for the Olympic Mountains, US)
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Computations of this step (please revise this to your GEE repository path).
+var step = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/"
+  + "Step_1.2.2_Regional_Forest_Elevation_Determination");
+
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Output"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Output = config.wd_Output;
+
+// Visualization parameters.
+var elvPalette = ['006600', '002200', 'fff700', 'ab7634', 'c4d0ff', 'ffffff'];
+var elvVis = {min: 150, max: 1750, palette: elvPalette};
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Determined elevation of upper-montane closed forests at 30 m.
+var local_Forest_Elv = step.local_Forest_Elv;
+
+// Smoothed regional forest elevation and checkpoint levels of the pyramid.
+var outputs = step.outputs;
+
+
+/*******************************************************************************
+ * Results *
+ ******************************************************************************/
+
+var output = false; // true OR false.
+
+if (!output) {
+  
+  // Check the 30-m closed-forest elevation.
+  Map.setOptions("Satellite");
+  Map.centerObject(AOI, 8);
+  
+  Map.addLayer(local_Forest_Elv, 
+    elvVis, 
+    "30-m closed-forest elevation");
+  
+} else if (step.missingCheckpoints.length > 0) {
+  
+  // Output the first missing checkpoint level to your GEE Asset, 
+  //  and run this script again once exported.
+  var checkpoint_FileName = step.missingCheckpoints[0];
+  
+  Export.image.toAsset({
+    image: outputs[checkpoint_FileName].image,
+    description: checkpoint_FileName, 
+    assetId: wd_Output + checkpoint_FileName, 
+    crs: outputs[checkpoint_FileName].crs,
+    scale: outputs[checkpoint_FileName].scale,
+    region: AOI,
+    maxPixels: 1e13
+  }); 
+  
+} else {
+  
+  // Output the result to your GEE Asset.
+  var fileName = "Smoothed_Regional_Forest_Elevation";
+  
+  Export.image.toAsset({
+    image: outputs[fileName].image,
+    description: fileName, 
+    assetId: wd_Output + fileName, 
+    crs: outputs[fileName].crs,
+    scale: outputs[fileName].scale,
+    region: AOI,
+    maxPixels: 1e13
+  }); 
+}
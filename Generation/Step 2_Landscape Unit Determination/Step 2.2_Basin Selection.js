@@ -1,11 +1,14 @@
 /*******************************************************************************
  * Introduction *
  * 
- *  1) Select water basins ("hybas_12") intersecting the study domain 
- *     and the medial axis running between ridges and valleys 
- *     across the broad ATE.
+ *  1) Select landscape units (by default, the "hybas_12" water basins) 
+ *     intersecting the study domain and the medial axis running 
+ *     between ridges and valleys across the broad ATE.
  * 
- * Updated: 4/3/2024
+ *  (The computations are in the "Modules/Steps/
+ *  Step_2.2_Basin_Selection" module.)
+ * 
+ * Updated: 10/19/2026
  * 
  * Runtime: Less than 1 minute (for the Olympic Mountains, US)
  * 
@@ -17,86 +20,34 @@
  * Objects *
  ******************************************************************************/
 
-// Example area of interest: 
-//  Based on the "Broad" extent of Olympic Mountains, US
-//  from the GMBA Mountain Inventory (Version 2.0) database.
-var AOI = ee.Geometry.Rectangle({
-  coords: [[-124.82185448800108, 46.978114448441836],
-    [-122.68335433442881,48.43864840733896]],
-  geodesic: false
-});
-
-// Working directories.
-var wd_Example = "users/ChenyangWei/ATET_v1/";
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
 
-// Projection information.
-var prj_Info = {
-  crs: "EPSG:4326",
-  scale: 30
-};
+// Computations of this step (please revise this to your GEE repository path).
+var step = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/Step_2.2_Basin_Selection");
 
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Output"]);
 
-/*******************************************************************************
- * Functions *
- ******************************************************************************/
-
-// Extract the most detailed ("level 12") HydroSHEDS water basins 
-//  intersecting the study domain.
-var extractBasins_StudyDomain = function(studyDomain_FtrCol) {
-  var studyDomain_Geom = ee.Feature(studyDomain_FtrCol.first())
-    .geometry();
-  
-  var extractedBasins = ee.FeatureCollection("WWF/HydroSHEDS/v1/Basins/hybas_12")
-    .filterBounds(studyDomain_Geom);
-
-  return extractedBasins;
-};
-
-// Select the HydroSHEDS water basins ("hybas_12") intersecting
-//  the medial axis running between ridges and valleys.
-var selectBasins_MedialAxis = function(medialAxis_Img, rawBasins, proj) {
-  var basins_withInfo = medialAxis_Img.reduceRegions({
-    collection: rawBasins,
-    reducer: ee.Reducer.firstNonNull(), 
-    scale: proj.scale,
-    crs: proj.crs
-  });
+// Area of interest.
+var AOI = config.AOI;
 
-  var selectedBasins = basins_withInfo
-    .filter(ee.Filter.notNull(["first"]));
-  
-  return selectedBasins;
-};
+// Working directory.
+var wd_Output = config.wd_Output;
 
 
 /*******************************************************************************
  * Datasets *
  ******************************************************************************/
 
-// Load the example study domain: 
-//  the "Broad" extent of Olympic Mountains, US
-//  from the GMBA Mountain Inventory (Version 2.0) database.
-var studyDomain = ee.FeatureCollection(wd_Example
-  + "Olympic_Mountains_GMBAv2_Broad");
-
 // Medial axis running between ridges and valleys across the broad ATE.
-var medialAxis = ee.Image(wd_Example 
-  + "MedialAxis_SquaredDistance");
-
-
-/*******************************************************************************
- * 1) Select water basins ("hybas_12") intersecting the study domain 
- *    and the determined medial axis across the broad ATE. *
- ******************************************************************************/
-
-// Collect the most detailed ("level 12") HydroSHEDS water basins 
-//  intersecting the study domain.
-
-var basins_StudyDomain = extractBasins_StudyDomain(studyDomain);
+var medialAxis = step.medialAxis;
 
-// Select water basins intersecting the determined medial axis.
-var selectedBasins_MedialAxis = selectBasins_MedialAxis(
-  medialAxis, basins_StudyDomain, prj_Info);
+// Water basins containing the medial axis.
+var selectedBasins_MedialAxis = step.outputs.Selected_Basins.collection;
 
 
 /*******************************************************************************
@@ -123,9 +74,7 @@ if (!output) {
   Export.table.toAsset({
     collection: selectedBasins_MedialAxis, 
     description: fileName, 
-    assetId: "Your/GEE_Asset/Path/" 
-      // Please revise this to your GEE Asset path.
-      + fileName
+    assetId: wd_Output + fileName
   });
 }
 
@@ -5,7 +5,17 @@
  *     between ridges and valleys across the broad ATE
  *     to their centroids by water basin.
  * 
- * Updated: 4/3/2024
+ *  2) Trace the medial-axis pixel centroids into a skeleton of 
+ *     connected polylines by water basin, with the squared distance 
+ *     to the nearest ridges / valleys at each vertex.
+ * 
+ *  3) Thin the medial-axis pixel centroids to a minimum Euclidean 
+ *     spacing, favoring the maxima of the distance to ridges / valleys.
+ * 
+ *  (The computations are in the "Modules/Steps/
+ *  Step_2.3_Medial-Axis_Vectorization" module.)
+ * 
+ * Updated: 10/19/2026
  * 
  * Runtime: 1 minute (for the Olympic Mountains, US)
  * 
@@ -17,75 +27,40 @@
  * Objects *
  ******************************************************************************/
 
-// Example area of interest: 
-//  Based on the "Broad" extent of Olympic Mountains, US
-//  from the GMBA Mountain Inventory (Version 2.0) database.
-var AOI = ee.Geometry.Rectangle({
-  coords: [[-124.82185448800108, 46.978114448441836],
-    [-122.68335433442881,48.43864840733896]],
-  geodesic: false
-});
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
 
-// Working directories.
-var wd_Example = "users/ChenyangWei/ATET_v1/";
+// Computations of this step (please revise this to your GEE repository path).
+var step = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/Step_2.3_Medial-Axis_Vectorization");
 
-// Projection information.
-var prj_Info = {
-  crs: "EPSG:4326",
-  scale: 30
-};
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Output"]);
 
+// Area of interest.
+var AOI = config.AOI;
 
-/*******************************************************************************
- * Functions *
- ******************************************************************************/
-
-// Vectorize pixels along the determined medial axis to their centroids 
-//  by water basin.
-var vectorizeMedialAxis_byBasin = function(medialAxisImg, basinsFtrCol, proj) {
-  var vectorization_byBasin = function(basin) {
-    var basinGeom = basin.geometry();
-    
-    var pxCtds_perBasin = medialAxisImg.reduceToVectors({
-      geometry: basinGeom, 
-      scale: proj.scale, 
-      geometryType: "centroid", 
-      eightConnected: true, 
-      labelProperty: medialAxisImg.bandNames().get(0), 
-      crs: proj.crs, 
-      maxPixels: 1e13
-    });
-    
-    return pxCtds_perBasin;
-  };
-  
-  var allPxCtds = basinsFtrCol.map(vectorization_byBasin);
-  
-  return allPxCtds.flatten();
-};
+// Working directory.
+var wd_Output = config.wd_Output;
 
 
 /*******************************************************************************
  * Datasets *
  ******************************************************************************/
 
-// Medial axis running between ridges and valleys across the broad ATE.
-var medialAxis = ee.Image(wd_Example 
-  + "MedialAxis_SquaredDistance");
-
 // Selected water basins.
-var selectedBasins = ee.FeatureCollection(wd_Example 
-  + "Selected_Basins");
+var selectedBasins = step.selectedBasins;
 
+// Vectorized medial-axis pixel centroids.
+var medialAxis_PxCtds = step.outputs.MedialAxis_PixelCentroids.collection;
 
-/*******************************************************************************
- * 1) Vectorize pixels along the medial axis running 
- *    between ridges and valleys across the broad ATE
- *    to their centroids by water basin. *
- ******************************************************************************/
+// Segments between adjacent pixel centroids.
+var skeleton_Segments = step.outputs.MedialAxis_Skeleton_Segments.collection;
 
-var medialAxis_PxCtds = vectorizeMedialAxis_byBasin(
-  medialAxis, selectedBasins, prj_Info);
+// Dissolved skeletons of the medial axis.
+var skeletons = step.outputs.MedialAxis_Skeletons.collection;
 
 
 /*******************************************************************************
@@ -106,15 +81,29 @@ if (!output) {
   
 } else {
   
-  // Output the result to your GEE Asset.
+  // Output the results to your GEE Asset.
   var fileName = "MedialAxis_PixelCentroids";
   
   Export.table.toAsset({
     collection: medialAxis_PxCtds, 
     description: fileName, 
-    assetId: "Your/GEE_Asset/Path/" 
-      // Please revise this to your GEE Asset path.
-      + fileName
+    assetId: wd_Output + fileName
+  });
+  
+  var segments_FileName = "MedialAxis_Skeleton_Segments";
+  
+  Export.table.toAsset({
+    collection: skeleton_Segments, 
+    description: segments_FileName, 
+    assetId: wd_Output + segments_FileName
+  });
+  
+  var skeletons_FileName = "MedialAxis_Skeletons";
+  
+  Export.table.toAsset({
+    collection: skeletons, 
+    description: skeletons_FileName, 
+    assetId: wd_Output + skeletons_FileName
   });
 }
 
@@ -0,0 +1,99 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  1) Construct the raw transect centerlines of each land cover epoch 
+ *     from the same medial-axis pixel centroids.
+ * 
+ *  2) Pair the centerlines of consecutive epochs constructed from 
+ *     the same medial-axis pixel centroid.
+ * 
+ *  3) Calculate the horizontal and elevational shifts of 
+ *     the lower (closed-forest) and upper (non-forested) endpoints 
+ *     between the paired centerlines.
+ * 
+ *  (The computations are in the "Modules/Steps/
+ *  Step_3.1_Multi-Epoch_Centerline_Comparison" module.)
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Computations of this step (please revise this to your GEE repository path).
+var step = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/Step_3.1_Multi-Epoch_Centerline_Comparison");
+
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Output", "epochs"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Output = config.wd_Output;
+
+// Land cover epochs.
+var epochs = config.epochs;
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Raw transect centerlines of each epoch.
+var centerlines_perEpoch = step.centerlines_perEpoch;
+
+// Endpoint shifts between the paired centerlines.
+var endpointShifts_FC = step.outputs.Centerline_Endpoint_Shifts.collection;
+
+
+/*******************************************************************************
+ * Results *
+ ******************************************************************************/
+
+var output = false; // true OR false.
+
+if (!output) {
+  
+  // Check the centerlines of the first epoch.
+  Map.setOptions("Satellite");
+  Map.centerObject(AOI, 12);
+  
+  Map.addLayer(centerlines_perEpoch[0], 
+    {color: "FF0000"}, 
+    "Raw transect centerlines (" + epochs[0].name + ")");
+  
+} else {
+  
+  // Output the centerlines of each epoch to your GEE Asset.
+  epochs.forEach(function(epoch, index) {
+    var epoch_FileName = "Raw_Centerlines_" + epoch.name;
+    
+    Export.table.toAsset({
+      collection: centerlines_perEpoch[index], 
+      description: epoch_FileName, 
+      assetId: wd_Output + epoch_FileName
+    });
+  });
+  
+  // Output the paired table to your GEE Asset 
+  //  (the same destination as in the pipeline).
+  var fileName = "Centerline_Endpoint_Shifts";
+  
+  Export.table.toAsset({
+    collection: endpointShifts_FC, 
+    description: fileName, 
+    assetId: wd_Output + fileName
+  });
+}
+
@@ -10,7 +10,10 @@
  * 
  *  3) Assign the corresponding basin ID to each transect centerline.
  * 
- * Updated: 4/10/2024
+ *  (The computations are in the "Modules/Steps/
+ *  Step_3.2_Basin_ID_Extraction" module.)
+ * 
+ * Updated: 10/19/2026
  * 
  * Runtime: Less than 1 minute (for the Olympic Mountains, US)
  * 
@@ -22,27 +25,23 @@
  * Objects *
  ******************************************************************************/
 
-// Working directory (you can revise this to your GEE Asset path).
-var wd_Example = "users/ChenyangWei/ATET_v1/";
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
 
-// Spatial Filter as geometries that intersect.
-var intersect_Filter = ee.Filter.intersects({
-  leftField: ".geo",
-  rightField: ".geo"
-});
+// Computations of this step (please revise this to your GEE repository path).
+var step = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/Step_3.2_Basin_ID_Extraction");
 
-// Non-spatial Filter as Features that have the same centerline IDs.
-var shareID_Filter = ee.Filter.equals({
-  leftField: "CL_ID",
-  rightField: "CL_ID"
-});
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Output"]);
 
-// Save-first Join.
-var IDname_Str = "HYBAS_ID";
+// Area of interest.
+var AOI = config.AOI;
 
-var saveFirst_Join = ee.Join.saveFirst({
-  matchKey: IDname_Str
-});
+// Working directory.
+var wd_Output = config.wd_Output;
 
 
 /*******************************************************************************
@@ -50,86 +49,14 @@ var saveFirst_Join = ee.Join.saveFirst({
  ******************************************************************************/
 
 // Raw transect centerlines.
-var centerlines_FC = ee.FeatureCollection(wd_Example
-  + "Raw_Centerlines");
+var centerlines_FC = step.centerlines_FC;
 
 // Selected water basins.
-var basins_FC = ee.FeatureCollection(wd_Example 
-  + "Selected_Basins");
-
-
-/*******************************************************************************
- * 1) Calculate the geometric centroid of each 
- *    elevational-transect centerline. *
- ******************************************************************************/
-
-var centroids_FC = centerlines_FC.map(function(centerline_Ftr) {
-  var centroid_Ftr = centerline_Ftr.centroid();
-  
-  return centroid_Ftr;
-});
-
-
-/*******************************************************************************
- * 2) Extract the ID of the basin intersected by each centroid of 
- *    transect centerlines and assign the extracted ID to 
- *    the corresponding centroid. *
- ******************************************************************************/
-
-// Join each centerline centroid with the basin that it intersects.
-var centroids_Basins_FC = saveFirst_Join.apply(
-  centroids_FC, basins_FC, intersect_Filter
-);
-
-// Extract and assign the basin ID from each joined basin
-//  to the corresponding centroid.
-var centroids_withBasinIDs_FC = centroids_Basins_FC.map(
-  function(joined_Ftr) {
-    
-    // Determine the joined basin.
-    var joinedBasin_Ftr = joined_Ftr.get(IDname_Str);
-    
-    // Get the basin ID from the joined basin.
-    var basinID_Num = ee.Feature(joinedBasin_Ftr)
-      .get(IDname_Str);
-  
-    // Replace the property of the joined basin with its basin ID.
-    var centroid_withBasinID_Ftr = joined_Ftr
-      .set(IDname_Str, basinID_Num);
-    
-    return centroid_withBasinID_Ftr;
-  }
-);
-
+var basins_FC = step.basins_FC;
 
-/*******************************************************************************
- * 3) Assign the corresponding basin ID to each transect centerline. *
- ******************************************************************************/
-
-// Join each transect centerline with its geometric centroid.
-var centerlines_Centroids_FC = saveFirst_Join.apply(
-  centerlines_FC, centroids_withBasinIDs_FC, shareID_Filter
-);
-
-// Extract and assign the basin ID from each joined centroid
-//  to the corresponding centerline.
-var centerlines_withBasinIDs_FC = centerlines_Centroids_FC.map(
-  function(joined_Ftr) {
-    
-    // Determine the joined centroid.
-    var joinedCentroid_Ftr = joined_Ftr.get(IDname_Str);
-    
-    // Get the basin ID from the joined centroid.
-    var basinID_Num = ee.Feature(joinedCentroid_Ftr)
-      .get(IDname_Str);
-  
-    // Replace the property of the joined centroid with its basin ID.
-    var centerline_withBasinID_Ftr = joined_Ftr
-      .set(IDname_Str, basinID_Num);
-    
-    return centerline_withBasinID_Ftr;
-  }
-);
+// Raw transect centerlines with the basin IDs.
+var centerlines_withBasinIDs_FC = step.outputs
+  .RawCenterlines_withBasinIDs.collection;
 
 
 /*******************************************************************************
@@ -142,7 +69,7 @@ if (!output) {
   
   // Check some loaded datasets.
   Map.setOptions("Satellite");
-  Map.setCenter(-123.4187, 47.7675, 11);
+  Map.centerObject(AOI, 11);
   
   Map.addLayer(basins_FC, 
     {color: "00FFFF"}, 
@@ -160,9 +87,7 @@ if (!output) {
   Export.table.toAsset({
     collection: centerlines_withBasinIDs_FC, 
     description: fileName, 
-    assetId: "Your/GEE_Asset/Path/" 
-      // Please revise this to your GEE Asset path.
-      + fileName
+    assetId: wd_Output + fileName
   });
 }
 
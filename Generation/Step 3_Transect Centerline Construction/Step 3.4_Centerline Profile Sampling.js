@@ -0,0 +1,84 @@
+/*******************************************************************************
+ * Introduction *
+ * 
+ *  1) Sample the elevation at a fixed spacing along each
+ *     transect centerline (from the lower to the upper endpoint).
+ *     (A centerline shorter than twice the spacing is sampled at 
+ *     half its length and flagged by "profile_StepReduced".)
+ * 
+ *  2) Derive the shape metrics of each elevation profile:
+ *     the maximum local slope, the number of reversals,
+ *     the concavity, and the RMSE from a linear fit.
+ * 
+ *  (The computations are in the "Modules/Steps/
+ *  Step_3.4_Centerline_Profile_Sampling" module.)
+ * 
+ * Updated: 10/19/2026
+ * 
+ * Runtime: N/A
+ * 
+ * Author: Chenyang Wei (chenyangwei.cwei@gmail.com)
+ ******************************************************************************/
+
+
+/*******************************************************************************
+ * Objects *
+ ******************************************************************************/
+
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Computations of this step (please revise this to your GEE repository path).
+var step = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Steps/Step_3.4_Centerline_Profile_Sampling");
+
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Output"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Output = config.wd_Output;
+
+
+/*******************************************************************************
+ * Datasets *
+ ******************************************************************************/
+
+// Raw transect centerlines with basin IDs.
+var centerlines_FC = step.centerlines_FC;
+
+// Elevation profiles of the raw centerlines.
+var profiles_FC = step.outputs.Centerline_Profiles.collection;
+
+
+/*******************************************************************************
+ * Results *
+ ******************************************************************************/
+
+var output = false; // true OR false.
+
+if (!output) {
+  
+  // Check the raw centerlines.
+  Map.setOptions("Satellite");
+  Map.centerObject(AOI, 12);
+  
+  Map.addLayer(centerlines_FC,
+    {color: "FF0000"},
+    "Raw transect centerlines");
+  
+} else {
+  
+  // Output the result to your GEE Asset.
+  var fileName = "Centerline_Profiles";
+  
+  Export.table.toAsset({
+    collection: profiles_FC,
+    description: fileName,
+    assetId: wd_Output + fileName
+  });
+}
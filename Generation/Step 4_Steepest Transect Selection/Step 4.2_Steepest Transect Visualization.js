@@ -3,7 +3,7 @@
  * 
  *  1) Visualize the constructed elevational transects within the study area.
  * 
- * Updated: 4/11/2024
+ * Updated: 10/19/2026
  * 
  * Runtime: N/A
  * 
@@ -14,8 +14,19 @@
  * Objects *
  ******************************************************************************/
 
-// Working directory (you can revise this to your GEE Asset path).
-var wd_Example = "users/ChenyangWei/ATET_v1/";
+// Shared pipeline configuration
+//  (please revise this to your GEE repository path).
+var config = require("users/ChenyangWei/ATET_v1:"
+  + "Generation/Modules/Configuration");
+
+// Check the required configuration keys.
+config.validate(["AOI", "wd_Input"]);
+
+// Area of interest.
+var AOI = config.AOI;
+
+// Working directory.
+var wd_Input = config.wd_Input;
 
 
 /*******************************************************************************
@@ -23,7 +34,7 @@ var wd_Example = "users/ChenyangWei/ATET_v1/";
  ******************************************************************************/
 
 // Constructed elevational transects.
-var transects_FC = ee.FeatureCollection(wd_Example
+var transects_FC = ee.FeatureCollection(wd_Input
   + "Elevational_Transects");
 
 
@@ -37,7 +48,7 @@ print("Elevational transect example:", transects_FC.first());
 
 // Visualize the elevational transects.
 Map.setOptions("Satellite");
-Map.setCenter(-123.4187, 47.7675, 12);
+Map.centerObject(AOI, 12);
 
 Map.addLayer(transects_FC,
   {color: "FF0000"},